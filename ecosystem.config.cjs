@@ -15,13 +15,17 @@ module.exports = {
     {
       name: 'Thaf-piston',
       script: './trackingServer.js',
-      instances: 1,
+      // uWebSockets.js listens with SO_REUSEPORT, so forked instances share the
+      // port; Redis pub/sub fans frames out between them.
+      instances: 2,
+      exec_mode: 'fork',
       autorestart: true,
       watch: false,
       max_memory_restart: '1G',
       env: {
         NODE_ENV: 'production',
-        TRACKING_SERVER_PORT: 9001
+        TRACKING_SERVER_PORT: 9001,
+        TRACKING_REDIS_PUBSUB: 'true'
       }
     }
   ]
@@ -3,14 +3,23 @@ dotenv.config();
 
 import app from './src/app.js';
 import connectDB from './src/config/db.js';
+import { startSseRelay } from './src/services/sseRelay.service.js';
 
 // Image processing worker & reconciliation cron (same-process mode)
 import './src/workers/media.worker.js';
 import './src/cron/reconcile-uploads.js';
+import './src/cron/trip-stats.js';
+import './src/cron/trip-lifecycle.js';
+import './src/cron/trip-waitlist.js';
 
 // Connect to Database
 connectDB();
 
+// Deliver SSE events raised by the tracking server
+startSseRelay().catch((error) => {
+  console.error('SSE relay failed to start:', error.message);
+});
+
 const PORT = process.env.PORT || 8081;
 
 app.listen(PORT, () => {
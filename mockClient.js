@@ -3,21 +3,54 @@ import jwt from 'jsonwebtoken';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import {
+  PROTOCOL_VERSION,
+  LOCATION_STATUS,
+  encodeLocationFrame,
+  decodeLocationFrame,
+} from './src/utils/locationCodec.js';
 
 // Load environment variables
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 dotenv.config({ path: join(__dirname, '.env') });
 
-const JWT_SECRET = process.env.JWT_SECRET || 'secret-key-change-me';
+// Same secret lookup as the tracking server
+const JWT_SECRET = process.env.JWT_ACCESS_SECRET || process.env.JWT_SECRET || 'secret-key-change-me';
 const TRACKING_SERVER_PORT = process.env.TRACKING_SERVER_PORT || '9001';
 const WS_URL = `ws://localhost:${TRACKING_SERVER_PORT}`;
 
-// Test configuration
-const TEST_USER_ID = 'test-user-123';
-const TEST_GROUP_ID = 'test-group-456';
+// Test configuration: a real group and members, since the server checks membership
+//   node mockClient.js <groupId> <userId> [<userId> ...]
+//   MOCK_GROUP_ID=<groupId> MOCK_USER_IDS=<userId>,<userId> node mockClient.js
+const [argGroupId, ...argUserIds] = process.argv.slice(2);
+const TEST_GROUP_ID = argGroupId || process.env.MOCK_GROUP_ID;
+const TEST_USER_IDS = argUserIds.length > 0
+  ? argUserIds
+  : (process.env.MOCK_USER_IDS || '').split(',').map((id) => id.trim()).filter(Boolean);
 const UPDATE_INTERVAL_MS = 1000; // Send location update every 1 second
 
+const OBJECT_ID = /^[0-9a-f]{24}$/i;
+const TRIP_GROUP_ID = /^trip_[0-9a-f]{8}$/i;
+
+if (!TEST_GROUP_ID || TEST_USER_IDS.length === 0) {
+  console.error('Usage: node mockClient.js <groupId> <userId> [<userId> ...]');
+  console.error('   or: MOCK_GROUP_ID=<groupId> MOCK_USER_IDS=<userId>,<userId> node mockClient.js');
+  console.error('The group is a chat group _id or an ongoing trip\'s trackingGroupId; the users must be its members.');
+  process.exit(1);
+}
+
+if (!OBJECT_ID.test(TEST_GROUP_ID) && !TRIP_GROUP_ID.test(TEST_GROUP_ID)) {
+  console.error(`❌ "${TEST_GROUP_ID}" is not a group _id or a trip trackingGroupId (trip_xxxxxxxx)`);
+  process.exit(1);
+}
+
+const invalidUserIds = TEST_USER_IDS.filter((id) => !OBJECT_ID.test(id));
+if (invalidUserIds.length > 0) {
+  console.error(`❌ Not user ObjectIds: ${invalidUserIds.join(', ')}`);
+  process.exit(1);
+}
+
 // Latency tracking
 const latencies = [];
 let messagesSent = 0;
@@ -38,70 +71,6 @@ function generateTestToken(userId) {
   return jwt.sign(payload, JWT_SECRET);
 }
 
-/**
- * Create a 40-byte binary location update message
- * Format: [uint32: userId, float64: lat, float64: lng, uint16: speed, uint16: bearing, uint8: status]
- * 
- * @param {number} userIdNum - User ID as number
- * @param {number} lat - Latitude
- * @param {number} lng - Longitude
- * @param {number} speed - Speed in km/h
- * @param {number} bearing - Bearing in degrees (0-360)
- * @param {number} status - Status code (0-255)
- * @returns {Buffer} 40-byte binary message
- */
-function createLocationMessage(userIdNum, lat, lng, speed, bearing, status) {
-  const buffer = Buffer.allocUnsafe(40);
-  
-  // uint32: userId (4 bytes)
-  buffer.writeUInt32LE(userIdNum, 0);
-  
-  // float64: latitude (8 bytes)
-  buffer.writeDoubleLE(lat, 4);
-  
-  // float64: longitude (8 bytes)
-  buffer.writeDoubleLE(lng, 12);
-  
-  // uint16: speed (2 bytes)
-  buffer.writeUInt16LE(speed, 20);
-  
-  // uint16: bearing (2 bytes)
-  buffer.writeUInt16LE(bearing, 22);
-  
-  // uint8: status (1 byte)
-  buffer.writeUInt8(status, 24);
-  
-  // Padding to reach 40 bytes (15 bytes)
-  // uint64: timestamp (8 bytes) - for latency measurement
-  buffer.writeBigUInt64LE(BigInt(Date.now()), 25);
-  
-  // Remaining 7 bytes reserved for future use
-  buffer.fill(0, 33, 40);
-  
-  return buffer;
-}
-
-/**
- * Parse a 40-byte binary location update message
- * @param {Buffer} buffer - Binary message buffer
- * @returns {Object} Parsed location data
- */
-function parseLocationMessage(buffer) {
-  if (buffer.length !== 40) {
-    throw new Error(`Invalid message length: ${buffer.length}, expected 40 bytes`);
-  }
-  
-  return {
-    userId: buffer.readUInt32LE(0),
-    lat: buffer.readDoubleLE(4),
-    lng: buffer.readDoubleLE(12),
-    speed: buffer.readUInt16LE(20),
-    bearing: buffer.readUInt16LE(22),
-    status: buffer.readUInt8(24),
-    timestamp: Number(buffer.readBigUInt64LE(25)),
-  };
-}
-
 /**
  * Simulate realistic location updates (moving along a path)
  */
@@ -133,7 +102,7 @@ class LocationSimulator {
       lng: this.lng,
       speed: Math.floor(this.speed),
       bearing: Math.floor(this.bearing),
-      status: 1, // 1 = active/moving
+      status: LOCATION_STATUS.RIDING,
     };
   }
 }
@@ -146,7 +115,7 @@ class LocationSimulator {
  */
 function createMockClient(userId, groupId, clientNumber) {
   const token = generateTestToken(userId);
-  const wsUrl = `${WS_URL}/?token=${encodeURIComponent(token)}&groupId=${encodeURIComponent(groupId)}`;
+  const wsUrl = `${WS_URL}/?token=${encodeURIComponent(token)}&groupId=${encodeURIComponent(groupId)}&v=${PROTOCOL_VERSION}`;
   
   console.log(`\n[Client ${clientNumber}] Connecting to ${WS_URL}`);
   console.log(`[Client ${clientNumber}] User ID: ${userId}`);
@@ -162,15 +131,8 @@ function createMockClient(userId, groupId, clientNumber) {
     // Start sending location updates
     updateInterval = setInterval(() => {
       const location = simulator.getNextLocation();
-      const userIdNum = parseInt(userId.replace(/\D/g, '')) || clientNumber;
-      const message = createLocationMessage(
-        userIdNum,
-        location.lat,
-        location.lng,
-        location.speed,
-        location.bearing,
-        location.status
-      );
+      // Same codec as the server; the sender id and server time are stamped on relay
+      const message = encodeLocationFrame({ ...location, clientTs: Date.now() });
       
       ws.send(message);
       messagesSent++;
@@ -179,16 +141,20 @@ function createMockClient(userId, groupId, clientNumber) {
     }, UPDATE_INTERVAL_MS);
   });
   
-  ws.on('message', (data) => {
+  ws.on('message', (data, isBinary) => {
     messagesReceived++;
     
-    if (data instanceof Buffer && data.length === 40) {
+    if (isBinary) {
       // Binary location update from peer
-      const location = parseLocationMessage(data);
-      const latency = Date.now() - location.timestamp;
+      const location = decodeLocationFrame(data);
+      if (!location) {
+        console.log(`[Client ${clientNumber}] ⚠️  Received malformed frame (${data.length} bytes)`);
+        return;
+      }
+      const latency = Date.now() - location.clientTs;
       latencies.push(latency);
       
-      console.log(`[Client ${clientNumber}] 📥 Received location from user ${location.userId}: lat=${location.lat.toFixed(6)}, lng=${location.lng.toFixed(6)}, speed=${location.speed}km/h (latency: ${latency}ms)`);
+      console.log(`[Client ${clientNumber}] 📥 Received location from user ${location.senderId}: lat=${location.lat.toFixed(6)}, lng=${location.lng.toFixed(6)}, speed=${location.speed}km/h (latency: ${latency}ms)`);
     } else {
       // Text message (e.g., welcome message)
       try {
@@ -249,15 +215,8 @@ function printStats() {
 console.log('🚀 Starting Mock Client Test');
 console.log('='.repeat(60));
 
-// Create multiple clients in the same group to test broadcasting
-const NUM_CLIENTS = 3; // Simulate 3 users in the same group
-const clients = [];
-
-for (let i = 1; i <= NUM_CLIENTS; i++) {
-  const userId = `test-user-${i}`;
-  const client = createMockClient(userId, TEST_GROUP_ID, i);
-  clients.push(client);
-}
+// One client per member, all in the same group, to test broadcasting
+const clients = TEST_USER_IDS.map((userId, i) => createMockClient(userId, TEST_GROUP_ID, i + 1));
 
 // Print stats every 10 seconds
 const statsInterval = setInterval(printStats, 10000);
@@ -0,0 +1,93 @@
+/**
+ * Backfill GeoJSON `geo` points on trip and event locations
+ * New and updated documents get `geo` from the location schema's validate
+ * hook; this fills it in for documents saved before the field existed, then
+ * builds the 2dsphere indexes. Safe to run more than once.
+ *
+ * Usage: node scripts/migrate-location-geo.js
+ */
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+import connectDB from '../src/config/db.js';
+import Trip from '../src/models/trip.model.js';
+import Event from '../src/models/event.model.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+// GeoJSON point for a location expression, or $$REMOVE when it has no coordinates
+const geoFor = (location) => ({
+  $cond: [
+    {
+      $and: [
+        { $isNumber: `${location}.coordinates.lat` },
+        { $isNumber: `${location}.coordinates.lng` },
+      ],
+    },
+    { type: 'Point', coordinates: [`${location}.coordinates.lng`, `${location}.coordinates.lat`] },
+    '$$REMOVE',
+  ],
+});
+
+// Only touch documents that actually have the location
+const setLocationGeo = (field) => ({
+  $set: {
+    [field]: {
+      $cond: [
+        { $eq: [{ $type: `$${field}` }, 'object'] },
+        { $mergeObjects: [`$${field}`, { geo: geoFor(`$${field}`) }] },
+        `$${field}`,
+      ],
+    },
+  },
+});
+
+const setStopsGeo = {
+  $set: {
+    stops: {
+      $cond: [
+        { $isArray: '$stops' },
+        {
+          $map: {
+            input: '$stops',
+            as: 'stop',
+            in: { $mergeObjects: ['$$stop', { geo: geoFor('$$stop') }] },
+          },
+        },
+        '$stops',
+      ],
+    },
+  },
+};
+
+const migrate = async () => {
+  await connectDB();
+
+  const trips = await Trip.updateMany(
+    {},
+    [setLocationGeo('startLocation'), setLocationGeo('destination'), setStopsGeo],
+    { updatePipeline: true }
+  );
+  console.log(`Trips: ${trips.modifiedCount} of ${trips.matchedCount} updated`);
+
+  const events = await Event.updateMany(
+    {},
+    [setLocationGeo('startLocation'), setLocationGeo('endLocation')],
+    { updatePipeline: true }
+  );
+  console.log(`Events: ${events.modifiedCount} of ${events.matchedCount} updated`);
+
+  await Trip.createIndexes();
+  await Event.createIndexes();
+  console.log('2dsphere indexes ready');
+
+  await mongoose.disconnect();
+};
+
+migrate().catch((error) => {
+  console.error('Migration failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,178 @@
+import mongoose from 'mongoose';
+import * as expenseService from '../services/expense.service.js';
+import { handleError, sendBadRequest } from '../utils/errorHandler.js';
+import { MAX_EXPENSE_AMOUNT } from '../utils/expenseSplit.js';
+
+/**
+ * Expense handlers serve both /groups/:id and /trips/:id; a trip's ledger
+ * is kept in its ride chat.
+ */
+
+/**
+ * Resolve the group whose ledger a request is for
+ * @param {Object} req
+ * @returns {Promise<ObjectId>}
+ */
+const getLedgerGroupId = (req) =>
+  req.group ? req.group._id : expenseService.getTripExpenseGroupId(req.params.id, req.user._id);
+
+const isMinorAmount = (value) => Number.isSafeInteger(value) && value > 0 && value <= MAX_EXPENSE_AMOUNT;
+const INVALID_AMOUNT = `amount must be a whole number of minor units (e.g. cents) from 1 to ${MAX_EXPENSE_AMOUNT}`;
+const isUserId = (value) => typeof value === 'string' && mongoose.Types.ObjectId.isValid(value);
+
+/**
+ * Validate a new expense body
+ * @param {Object} body
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateExpense = (body) => {
+  const { description, amount, currency, paidBy, splitType = 'equal', splits } = body || {};
+
+  if (typeof description !== 'string' || !description.trim()) {
+    return 'description is required';
+  }
+
+  if (!isMinorAmount(amount)) {
+    return INVALID_AMOUNT;
+  }
+
+  if (typeof currency !== 'string') {
+    return 'currency is required';
+  }
+
+  if (paidBy !== undefined && !isUserId(paidBy)) {
+    return 'paidBy must be a user id';
+  }
+
+  if (!['equal', 'shares', 'exact'].includes(splitType)) {
+    return 'splitType must be one of equal, shares, exact';
+  }
+
+  if (splits !== undefined) {
+    if (!Array.isArray(splits) || !splits.every((split) => split && isUserId(split.user))) {
+      return 'splits must be an array of { user } entries';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Record an expense
+ * POST /groups/:id/expenses, POST /trips/:id/expenses
+ */
+export const createExpense = async (req, res) => {
+  try {
+    const invalid = validateExpense(req.body);
+    if (invalid) {
+      return sendBadRequest(res, invalid);
+    }
+
+    const groupId = await getLedgerGroupId(req);
+    const { description, amount, currency, paidBy, splitType, splits } = req.body;
+    const expense = await expenseService.createExpense(groupId, req.user._id, {
+      description: description.trim(),
+      amount,
+      currency,
+      paidBy,
+      splitType,
+      splits,
+    });
+
+    res.status(201).send({
+      message: 'Expense recorded successfully',
+      expense,
+    });
+  } catch (error) {
+    return handleError(res, error, 'Failed to record expense');
+  }
+};
+
+/**
+ * List expenses
+ * GET /groups/:id/expenses, GET /trips/:id/expenses
+ */
+export const getExpenses = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+
+    const groupId = await getLedgerGroupId(req);
+    const result = await expenseService.getExpenses(groupId, req.user._id, page, limit);
+
+    res.send(result);
+  } catch (error) {
+    return handleError(res, error, 'Failed to get expenses');
+  }
+};
+
+/**
+ * Get running balances and a settle-up plan per currency
+ * GET /groups/:id/balances, GET /trips/:id/balances
+ */
+export const getBalances = async (req, res) => {
+  try {
+    const groupId = await getLedgerGroupId(req);
+    const currencies = await expenseService.getBalances(groupId, req.user._id);
+
+    res.send({ currencies });
+  } catch (error) {
+    return handleError(res, error, 'Failed to get balances');
+  }
+};
+
+/**
+ * Mark a repayment as paid
+ * POST /groups/:id/settlements, POST /trips/:id/settlements
+ */
+export const recordSettlement = async (req, res) => {
+  try {
+    const { from, to, amount, currency } = req.body || {};
+
+    if (from !== undefined && !isUserId(from)) {
+      return sendBadRequest(res, 'from must be a user id');
+    }
+
+    if (!isUserId(to)) {
+      return sendBadRequest(res, 'to must be a user id');
+    }
+
+    if (!isMinorAmount(amount)) {
+      return sendBadRequest(res, INVALID_AMOUNT);
+    }
+
+    if (typeof currency !== 'string') {
+      return sendBadRequest(res, 'currency is required');
+    }
+
+    const groupId = await getLedgerGroupId(req);
+    const settlement = await expenseService.recordSettlement(groupId, req.user._id, {
+      from,
+      to,
+      amount,
+      currency,
+    });
+
+    res.status(201).send({
+      message: 'Settlement marked as paid',
+      settlement,
+    });
+  } catch (error) {
+    return handleError(res, error, 'Failed to record settlement');
+  }
+};
+
+/**
+ * List repayments marked as paid
+ * GET /groups/:id/settlements, GET /trips/:id/settlements
+ */
+export const getSettlements = async (req, res) => {
+  try {
+    const groupId = await getLedgerGroupId(req);
+    const settlements = await expenseService.getSettlements(groupId, req.user._id);
+
+    res.send({ settlements });
+  } catch (error) {
+    return handleError(res, error, 'Failed to get settlements');
+  }
+};
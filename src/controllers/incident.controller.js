@@ -0,0 +1,69 @@
+import * as incidentService from '../services/incident.service.js';
+import { handleError, sendBadRequest } from '../utils/errorHandler.js';
+
+/**
+ * Get incidents raised on a trip
+ * GET /trips/:id/incidents?status=open|acknowledged|resolved
+ */
+export const getTripIncidents = async (req, res) => {
+  try {
+    const tripId = req.params.id;
+    const userId = req.user._id;
+    const { status } = req.query;
+
+    if (status && !['open', 'acknowledged', 'resolved'].includes(status)) {
+      return sendBadRequest(res, 'status must be one of open, acknowledged, resolved');
+    }
+
+    const incidents = await incidentService.getTripIncidents(tripId, userId, status);
+
+    res.send({ incidents });
+  } catch (error) {
+    return handleError(res, error, 'Failed to get incidents');
+  }
+};
+
+/**
+ * Acknowledge an incident
+ * POST /trips/:id/incidents/:incidentId/acknowledge
+ */
+export const acknowledgeIncident = async (req, res) => {
+  try {
+    const { id: tripId, incidentId } = req.params;
+    const userId = req.user._id;
+
+    const incident = await incidentService.acknowledgeIncident(tripId, incidentId, userId);
+
+    res.send({
+      message: 'Incident acknowledged',
+      incident,
+    });
+  } catch (error) {
+    return handleError(res, error, 'Failed to acknowledge incident');
+  }
+};
+
+/**
+ * Resolve an incident
+ * POST /trips/:id/incidents/:incidentId/resolve
+ */
+export const resolveIncident = async (req, res) => {
+  try {
+    const { id: tripId, incidentId } = req.params;
+    const userId = req.user._id;
+    const { note } = req.body || {};
+
+    if (note !== undefined && typeof note !== 'string') {
+      return sendBadRequest(res, 'note must be a string');
+    }
+
+    const incident = await incidentService.resolveIncident(tripId, incidentId, userId, note);
+
+    res.send({
+      message: 'Incident resolved',
+      incident,
+    });
+  } catch (error) {
+    return handleError(res, error, 'Failed to resolve incident');
+  }
+};
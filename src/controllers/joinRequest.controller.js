@@ -0,0 +1,106 @@
+import * as joinRequestService from '../services/joinRequest.service.js';
+import { handleError, sendBadRequest } from '../utils/errorHandler.js';
+
+const REQUEST_STATUSES = ['pending', 'approved', 'waitlisted', 'rejected', 'withdrawn'];
+
+/**
+ * Ask to join a trip
+ * POST /trips/:id/join-requests
+ * Body: { message? }
+ */
+export const createJoinRequest = async (req, res) => {
+  try {
+    const { message } = req.body || {};
+
+    if (message !== undefined && (typeof message !== 'string' || message.length > 500)) {
+      return sendBadRequest(res, 'message must be text of at most 500 characters');
+    }
+
+    const joinRequest = await joinRequestService.createJoinRequest(req.params.id, req.user._id, { message });
+
+    res.status(201).send({
+      message:
+        joinRequest.status === 'approved' ? 'Joined trip successfully' : 'Join request sent successfully',
+      joinRequest,
+    });
+  } catch (error) {
+    return handleError(res, error, 'Failed to request to join trip');
+  }
+};
+
+/**
+ * List join requests (all of them for the creator, your own otherwise)
+ * GET /trips/:id/join-requests?status=pending
+ */
+export const getJoinRequests = async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+
+    if (!REQUEST_STATUSES.includes(status)) {
+      return sendBadRequest(res, `status must be one of ${REQUEST_STATUSES.join(', ')}`);
+    }
+
+    const joinRequests = await joinRequestService.getJoinRequests(req.params.id, req.user._id, status);
+
+    res.send({ joinRequests });
+  } catch (error) {
+    return handleError(res, error, 'Failed to get join requests');
+  }
+};
+
+/**
+ * Approve a join request
+ * POST /trips/:id/join-requests/:requestId/approve
+ */
+export const approveJoinRequest = async (req, res) => {
+  try {
+    const { id: tripId, requestId } = req.params;
+
+    const joinRequest = await joinRequestService.approveJoinRequest(tripId, requestId, req.user._id);
+
+    res.send({
+      message: 'Join request approved successfully',
+      joinRequest,
+    });
+  } catch (error) {
+    return handleError(res, error, 'Failed to approve join request');
+  }
+};
+
+/**
+ * Reject a join request
+ * POST /trips/:id/join-requests/:requestId/reject
+ */
+export const rejectJoinRequest = async (req, res) => {
+  try {
+    const { id: tripId, requestId } = req.params;
+
+    const joinRequest = await joinRequestService.rejectJoinRequest(tripId, requestId, req.user._id);
+
+    res.send({
+      message: 'Join request rejected successfully',
+      joinRequest,
+    });
+  } catch (error) {
+    return handleError(res, error, 'Failed to reject join request');
+  }
+};
+
+/**
+ * Withdraw your own join request
+ * DELETE /trips/:id/join-requests/:requestId
+ */
+export const withdrawJoinRequest = async (req, res) => {
+  try {
+    const { id: tripId, requestId } = req.params;
+
+    const joinRequest = await joinRequestService.withdrawJoinRequest(tripId, requestId, req.user._id);
+
+    res.send({
+      message: 'Join request withdrawn successfully',
+      joinRequest,
+    });
+  } catch (error) {
+    return handleError(res, error, 'Failed to withdraw join request');
+  }
+};
@@ -0,0 +1,108 @@
+import * as locationSharingService from '../services/locationSharing.service.js';
+import { handleError, sendBadRequest } from '../utils/errorHandler.js';
+
+/**
+ * Validate a sharing update body
+ * @param {Object} body
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateSharingUpdate = (body) => {
+  const { mode, durationMinutes } = body || {};
+
+  if (!['off', 'coarse', 'precise'].includes(mode)) {
+    return 'mode must be one of off, coarse, precise';
+  }
+
+  if (durationMinutes !== undefined && durationMinutes !== null && !Number.isInteger(durationMinutes)) {
+    return 'durationMinutes must be a whole number of minutes';
+  }
+
+  return null;
+};
+
+/**
+ * Get my location sharing setting for a group
+ * GET /groups/:id/sharing
+ */
+export const getGroupSharing = async (req, res) => {
+  try {
+    const sharing = await locationSharingService.getSharingSetting(req.group._id.toString(), req.user._id);
+
+    res.send({ sharing });
+  } catch (error) {
+    return handleError(res, error, 'Failed to get sharing setting');
+  }
+};
+
+/**
+ * Update my location sharing setting for a group
+ * PUT /groups/:id/sharing
+ */
+export const updateGroupSharing = async (req, res) => {
+  try {
+    const invalid = validateSharingUpdate(req.body);
+    if (invalid) {
+      return sendBadRequest(res, invalid);
+    }
+
+    const { mode, durationMinutes } = req.body;
+    const sharing = await locationSharingService.updateSharingSetting(
+      req.group._id.toString(),
+      req.user._id,
+      { mode, durationMinutes }
+    );
+
+    res.send({
+      message: 'Sharing setting updated',
+      sharing,
+    });
+  } catch (error) {
+    return handleError(res, error, 'Failed to update sharing setting');
+  }
+};
+
+/**
+ * Get my location sharing setting for a trip
+ * GET /trips/:id/sharing
+ */
+export const getTripSharing = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const trackingGroupId = await locationSharingService.getTripTrackingGroupId(req.params.id, userId);
+
+    const sharing = await locationSharingService.getSharingSetting(trackingGroupId, userId);
+
+    res.send({ sharing });
+  } catch (error) {
+    return handleError(res, error, 'Failed to get sharing setting');
+  }
+};
+
+/**
+ * Update my location sharing setting for a trip
+ * PUT /trips/:id/sharing
+ */
+export const updateTripSharing = async (req, res) => {
+  try {
+    const invalid = validateSharingUpdate(req.body);
+    if (invalid) {
+      return sendBadRequest(res, invalid);
+    }
+
+    const userId = req.user._id;
+    const { mode, durationMinutes } = req.body;
+    const trackingGroupId = await locationSharingService.getTripTrackingGroupId(req.params.id, userId);
+
+    const sharing = await locationSharingService.updateSharingSetting(trackingGroupId, userId, {
+      mode,
+      durationMinutes,
+    });
+
+    res.send({
+      message: 'Sharing setting updated',
+      sharing,
+    });
+  } catch (error) {
+    return handleError(res, error, 'Failed to update sharing setting');
+  }
+};
@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+import * as shareLinkService from '../services/shareLink.service.js';
+import { handleError, sendBadRequest } from '../utils/errorHandler.js';
+
+/**
+ * Create a view-only live tracking link
+ * POST /trips/:id/share-links
+ * Body: { riderId?, expiresInMinutes? }
+ */
+export const createShareLink = async (req, res) => {
+  try {
+    const { riderId, expiresInMinutes } = req.body || {};
+
+    if (riderId && !mongoose.Types.ObjectId.isValid(riderId)) {
+      return sendBadRequest(res, 'riderId must be a valid user id');
+    }
+
+    if (expiresInMinutes !== undefined && !Number.isInteger(expiresInMinutes)) {
+      return sendBadRequest(res, 'expiresInMinutes must be a whole number of minutes');
+    }
+
+    const { shareLink, token } = await shareLinkService.createShareLink(req.params.id, req.user._id, {
+      riderId: riderId || null,
+      expiresInMinutes,
+    });
+
+    res.status(201).send({
+      message: 'Share link created successfully',
+      shareLink,
+      token,
+    });
+  } catch (error) {
+    return handleError(res, error, 'Failed to create share link');
+  }
+};
+
+/**
+ * List a trip's share links
+ * GET /trips/:id/share-links
+ */
+export const getShareLinks = async (req, res) => {
+  try {
+    const shareLinks = await shareLinkService.getShareLinks(req.params.id, req.user._id);
+
+    res.send({ shareLinks });
+  } catch (error) {
+    return handleError(res, error, 'Failed to get share links');
+  }
+};
+
+/**
+ * Revoke a share link
+ * DELETE /trips/:id/share-links/:linkId
+ */
+export const revokeShareLink = async (req, res) => {
+  try {
+    const { id: tripId, linkId } = req.params;
+
+    const shareLink = await shareLinkService.revokeShareLink(tripId, linkId, req.user._id);
+
+    res.send({
+      message: 'Share link revoked successfully',
+      shareLink,
+    });
+  } catch (error) {
+    return handleError(res, error, 'Failed to revoke share link');
+  }
+};
@@ -7,7 +7,19 @@ import { handleError, sendBadRequest } from '../utils/errorHandler.js';
  */
 export const createTrip = async (req, res) => {
   try {
-    const { title, description, startLocation, destination, stops, startDate, endDate, participantIds } = req.body;
+    const {
+      title,
+      description,
+      startLocation,
+      destination,
+      stops,
+      startDate,
+      endDate,
+      participantIds,
+      visibility,
+      maxParticipants,
+      waitlistOfferMinutes,
+    } = req.body;
     const creatorId = req.user._id;
     console.log(req.body,
       "-------------------------->>>>",startLocation,
@@ -24,8 +36,28 @@ export const createTrip = async (req, res) => {
       return sendBadRequest(res, 'Start date and end date are required');
     }
 
+    if (visibility !== undefined && !['public', 'request', 'private'].includes(visibility)) {
+      return sendBadRequest(res, 'visibility must be one of public, request, private');
+    }
+
+    if (maxParticipants != null && (!Number.isInteger(maxParticipants) || maxParticipants < 2)) {
+      return sendBadRequest(res, 'maxParticipants must be a whole number of at least 2');
+    }
+
     const trip = await tripService.createTrip(
-      { title, description, startLocation, destination, stops, startDate, endDate, participantIds },
+      {
+        title,
+        description,
+        startLocation,
+        destination,
+        stops,
+        startDate,
+        endDate,
+        participantIds,
+        visibility,
+        maxParticipants,
+        waitlistOfferMinutes,
+      },
       creatorId
     );
 
@@ -159,9 +191,201 @@ export const deleteTrip = async (req, res) => {
   }
 };
 
+/**
+ * Get recorded participant paths
+ * GET /trips/:id/track
+ */
+export const getTripTrack = async (req, res) => {
+  try {
+    const tripId = req.params.id;
+    const userId = req.user._id;
+
+    const track = await tripService.getTripTrack(tripId, userId);
+
+    res.send(track);
+  } catch (error) {
+    return handleError(res, error, 'Failed to get trip track');
+  }
+};
+
+/**
+ * Get a downsampled replay of a trip's recorded positions
+ * GET /trips/:id/replay?from&to&resolution
+ */
+export const getTripReplay = async (req, res) => {
+  try {
+    const tripId = req.params.id;
+    const userId = req.user._id;
+    const { from, to, resolution } = req.query;
+
+    const fromDate = from ? new Date(from) : undefined;
+    const toDate = to ? new Date(to) : undefined;
+
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return sendBadRequest(res, 'from and to must be ISO dates');
+    }
+
+    if (fromDate && toDate && fromDate >= toDate) {
+      return sendBadRequest(res, 'from must be before to');
+    }
+
+    const resolutionSeconds = resolution !== undefined ? parseInt(resolution) : undefined;
+    if (resolutionSeconds !== undefined && !(resolutionSeconds >= 1 && resolutionSeconds <= 3600)) {
+      return sendBadRequest(res, 'resolution must be between 1 and 3600 seconds');
+    }
+
+    const replay = await tripService.getTripReplay(tripId, userId, {
+      from: fromDate,
+      to: toDate,
+      resolution: resolutionSeconds,
+    });
+
+    res.send(replay);
+  } catch (error) {
+    return handleError(res, error, 'Failed to get trip replay');
+  }
+};
+
+/**
+ * Start a trip (opens live tracking)
+ * POST /trips/:id/start
+ */
+export const startTrip = async (req, res) => {
+  try {
+    const trip = await tripService.startTrip(req.params.id, req.user._id);
+
+    res.send({
+      message: 'Trip started successfully',
+      trip,
+    });
+  } catch (error) {
+    return handleError(res, error, 'Failed to start trip');
+  }
+};
+
+/**
+ * End an ongoing trip (closes live tracking and finalizes stats)
+ * POST /trips/:id/end
+ */
+export const endTrip = async (req, res) => {
+  try {
+    const trip = await tripService.endTrip(req.params.id, req.user._id);
+
+    res.send({
+      message: 'Trip ended successfully',
+      trip,
+    });
+  } catch (error) {
+    return handleError(res, error, 'Failed to end trip');
+  }
+};
+
+/**
+ * Cancel a planned or ongoing trip
+ * POST /trips/:id/cancel
+ */
+export const cancelTrip = async (req, res) => {
+  try {
+    const trip = await tripService.cancelTrip(req.params.id, req.user._id);
+
+    res.send({
+      message: 'Trip cancelled successfully',
+      trip,
+    });
+  } catch (error) {
+    return handleError(res, error, 'Failed to cancel trip');
+  }
+};
+
+/**
+ * Get rolling ETAs to the next stop and destination for every rider
+ * GET /trips/:id/eta
+ */
+export const getTripEta = async (req, res) => {
+  try {
+    const eta = await tripService.getTripEta(req.params.id, req.user._id);
+
+    res.send(eta);
+  } catch (error) {
+    return handleError(res, error, 'Failed to get trip ETA');
+  }
+};
+
+/**
+ * Set the planned route from a GPX upload, an encoded polyline or a list of points
+ * PUT /trips/:id/route
+ * Body: raw GPX (Content-Type application/gpx+xml) or JSON { polyline } / { points: [{ lat, lng }] }
+ */
+export const setTripRoute = async (req, res) => {
+  try {
+    let route;
+    if (typeof req.body === 'string') {
+      route = { gpx: req.body };
+    } else if (typeof req.body?.polyline === 'string' && req.body.polyline.length > 0) {
+      route = { polyline: req.body.polyline };
+    } else if (Array.isArray(req.body?.points)) {
+      route = { points: req.body.points };
+    } else {
+      return sendBadRequest(res, 'Provide a GPX document, a polyline or a points array');
+    }
+
+    const trip = await tripService.setTripRoute(req.params.id, req.user._id, route);
+
+    res.send({
+      message: 'Planned route updated successfully',
+      plannedRoute: trip.plannedRoute,
+    });
+  } catch (error) {
+    return handleError(res, error, 'Failed to update planned route');
+  }
+};
+
+/**
+ * Remove the planned route
+ * DELETE /trips/:id/route
+ */
+export const clearTripRoute = async (req, res) => {
+  try {
+    await tripService.clearTripRoute(req.params.id, req.user._id);
+
+    res.send({ message: 'Planned route removed successfully' });
+  } catch (error) {
+    return handleError(res, error, 'Failed to remove planned route');
+  }
+};
+
+/**
+ * Export planned waypoints and recorded tracks
+ * GET /trips/:id/export?format=gpx|kml|geojson&scope=group|mine
+ */
+export const exportTripTrack = async (req, res) => {
+  try {
+    const tripId = req.params.id;
+    const userId = req.user._id;
+    const format = (req.query.format || 'gpx').toLowerCase();
+    const scope = req.query.scope || 'group';
+
+    if (!['gpx', 'kml', 'geojson'].includes(format)) {
+      return sendBadRequest(res, 'format must be one of gpx, kml, geojson');
+    }
+
+    if (!['group', 'mine'].includes(scope)) {
+      return sendBadRequest(res, 'scope must be group or mine');
+    }
+
+    const file = await tripService.exportTripTrack(tripId, userId, { format, scope });
+
+    res.set('Content-Type', file.contentType);
+    res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.send(file.body);
+  } catch (error) {
+    return handleError(res, error, 'Failed to export trip');
+  }
+};
+
 /**
  * Filter/Search trips
- * GET /trips/filter
+ * GET /trips/filter?from=&to=&startDate=&endDate=&near=lat,lng&radiusKm=
  */
 export const searchTrips = async (req, res) => {
   try {
@@ -169,7 +393,23 @@ export const searchTrips = async (req, res) => {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
 
-    const result = await tripService.searchTrips({ from, to, startDate, endDate }, page, limit);
+    // near=lat,lng ranks trips by how far their start is from that point
+    let near;
+    let radiusKm;
+    if (req.query.near) {
+      const [lat, lng] = String(req.query.near).split(',').map(Number);
+      if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+        return sendBadRequest(res, 'near must be lat,lng');
+      }
+      near = { lat, lng };
+
+      radiusKm = req.query.radiusKm === undefined ? 50 : Number(req.query.radiusKm);
+      if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > 500) {
+        return sendBadRequest(res, 'radiusKm must be between 0 and 500');
+      }
+    }
+
+    const result = await tripService.searchTrips({ from, to, startDate, endDate, near, radiusKm }, page, limit);
 
     res.send(result);
   } catch (error) {
@@ -0,0 +1,47 @@
+import * as tripWaitlistService from '../services/tripWaitlist.service.js';
+import { handleError } from '../utils/errorHandler.js';
+
+/**
+ * Get the trip's capacity and waitlist (everyone for the creator, your own place otherwise)
+ * GET /trips/:id/waitlist
+ */
+export const getWaitlist = async (req, res) => {
+  try {
+    const waitlist = await tripWaitlistService.getWaitlist(req.params.id, req.user._id);
+
+    res.send(waitlist);
+  } catch (error) {
+    return handleError(res, error, 'Failed to get waitlist');
+  }
+};
+
+/**
+ * Take the seat you were offered from the waitlist
+ * POST /trips/:id/waitlist/confirm
+ */
+export const confirmWaitlistOffer = async (req, res) => {
+  try {
+    const trip = await tripWaitlistService.confirmWaitlistOffer(req.params.id, req.user._id);
+
+    res.send({
+      message: 'Joined trip successfully',
+      trip,
+    });
+  } catch (error) {
+    return handleError(res, error, 'Failed to confirm seat offer');
+  }
+};
+
+/**
+ * Leave the waitlist (declines a pending seat offer)
+ * DELETE /trips/:id/waitlist
+ */
+export const leaveWaitlist = async (req, res) => {
+  try {
+    await tripWaitlistService.leaveWaitlist(req.params.id, req.user._id);
+
+    res.send({ message: 'Left waitlist successfully' });
+  } catch (error) {
+    return handleError(res, error, 'Failed to leave waitlist');
+  }
+};
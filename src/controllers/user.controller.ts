@@ -1,10 +1,11 @@
 import { Request, Response } from 'express';
 import User from '../models/user.model.js';
+import { getLifetimeRideStats } from '../services/rideStats.service.js';
 
 /**
  * GET /user/me
  *
- * Returns the authenticated user's details.
+ * Returns the authenticated user's details and lifetime ride stats.
  */
 export const getMe = async (req: Request, res: Response): Promise<void> => {
   const user = req.user;
@@ -14,6 +15,8 @@ export const getMe = async (req: Request, res: Response): Promise<void> => {
     return;
   }
 
+  const rideStats = await getLifetimeRideStats(String(user._id));
+
   res.status(200).json({
     _id: user._id,
     userId: user.userId ?? null,
@@ -24,6 +27,7 @@ export const getMe = async (req: Request, res: Response): Promise<void> => {
     createdAt: user.createdAt,
     updatedAt: user.updatedAt,
     lastLogin: user.lastLogin,
+    rideStats,
   });
 };
 
@@ -0,0 +1,16 @@
+import cron from 'node-cron';
+import { advanceTripLifecycles } from '../services/trip.service.js';
+
+// Every minute: start trips whose start date has arrived, complete those past their end date
+cron.schedule('* * * * *', async () => {
+  try {
+    const { started, completed, closedQuietly } = await advanceTripLifecycles();
+    if (started + completed + closedQuietly > 0) {
+      console.log(`[trip-lifecycle] Started: ${started}, Completed: ${completed}, Closed without starting: ${closedQuietly}`);
+    }
+  } catch (err) {
+    console.error('[trip-lifecycle] Failed to advance trips:', err.message);
+  }
+});
+
+console.log('[cron] Trip lifecycle cron scheduled');
@@ -0,0 +1,16 @@
+import cron from 'node-cron';
+import { computeEndedTripStats } from '../services/trip.service.js';
+
+// Every 10 minutes: compute ride stats for completed trips the tracking server didn't finalize
+cron.schedule('*/10 * * * *', async () => {
+  try {
+    const processed = await computeEndedTripStats();
+    if (processed > 0) {
+      console.log(`[trip-stats] Computed stats for ${processed} ended trips`);
+    }
+  } catch (err) {
+    console.error('[trip-stats] Failed to compute trip stats:', err.message);
+  }
+});
+
+console.log('[cron] Trip stats cron scheduled');
@@ -0,0 +1,16 @@
+import cron from 'node-cron';
+import { expireWaitlistOffers } from '../services/tripWaitlist.service.js';
+
+// Every minute: lapse unconfirmed seat offers and offer the seats to the next waiting riders
+cron.schedule('* * * * *', async () => {
+  try {
+    const { expired, offered } = await expireWaitlistOffers();
+    if (expired + offered > 0) {
+      console.log(`[trip-waitlist] Expired offers: ${expired}, New offers: ${offered}`);
+    }
+  } catch (err) {
+    console.error('[trip-waitlist] Failed to expire seat offers:', err.message);
+  }
+});
+
+console.log('[cron] Trip waitlist cron scheduled');
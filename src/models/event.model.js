@@ -68,6 +68,7 @@ eventSchema.index({ createdBy: 1, isActive: 1 });
 eventSchema.index({ 'participants.user': 1, isActive: 1 });
 eventSchema.index({ startTime: 1, isActive: 1 });
 eventSchema.index({ isActive: 1, startTime: -1 });
+eventSchema.index({ 'startLocation.geo': '2dsphere' });
 
 // Validation: endTime must be after startTime
 eventSchema.pre('save', function (next) {
@@ -0,0 +1,100 @@
+import mongoose, { Types } from 'mongoose';
+
+/**
+ * One person's part of an expense, in minor units
+ */
+const expenseSplitSchema = new mongoose.Schema(
+  {
+    user: {
+      type: Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Weight used for 'shares' splits
+    shares: {
+      type: Number,
+      min: 1,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * A shared cost recorded in a group or trip chat.
+ * Amounts are integers in the currency's minor unit (cents, paise).
+ */
+const expenseSchema = new mongoose.Schema(
+  {
+    group: {
+      type: Types.ObjectId,
+      ref: 'Group',
+      required: true,
+    },
+    trip: {
+      type: Types.ObjectId,
+      ref: 'Trip',
+      default: null,
+    },
+    description: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 1,
+      validate: {
+        validator: Number.isInteger,
+        message: 'amount must be a whole number of minor units',
+      },
+    },
+    currency: {
+      type: String,
+      required: true,
+      uppercase: true,
+      match: /^[A-Z]{3}$/,
+    },
+    paidBy: {
+      type: Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    splitType: {
+      type: String,
+      enum: ['equal', 'shares', 'exact'],
+      default: 'equal',
+    },
+    splits: {
+      type: [expenseSplitSchema],
+      required: true,
+    },
+    createdBy: {
+      type: Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // The 'spend' chat message announcing the expense
+    message: {
+      type: Types.ObjectId,
+      ref: 'Message',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+expenseSchema.index({ group: 1, createdAt: -1 });
+
+const Expense = mongoose.model('Expense', expenseSchema);
+
+export default Expense;
@@ -63,6 +63,12 @@ const groupSchema = new mongoose.Schema(
         max: 1024,
       },
     },
+    // Set on a trip's ride chat; its members follow the trip's participants
+    trip: {
+      type: Types.ObjectId,
+      ref: 'Trip',
+      default: null,
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -82,6 +88,7 @@ groupSchema.index({ 'members.user': 1 });
 groupSchema.index({ createdBy: 1, isActive: 1 });
 groupSchema.index({ lastActivity: -1 });
 groupSchema.index({ isActive: 1, lastActivity: -1 });
+groupSchema.index({ trip: 1 }, { sparse: true });
 
 /**
  * Check if user is a member of the group
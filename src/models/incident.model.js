@@ -0,0 +1,92 @@
+import mongoose, { Types } from 'mongoose';
+
+/**
+ * Emergency raised from a rider's tracking frames (SOS or crash detection).
+ * A rider has at most one open incident per trip; repeated SOS frames update it.
+ */
+const incidentSchema = new mongoose.Schema(
+  {
+    trip: {
+      type: Types.ObjectId,
+      ref: 'Trip',
+      required: true,
+    },
+    user: {
+      type: Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ['sos', 'crash'],
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['open', 'acknowledged', 'resolved'],
+      default: 'open',
+    },
+    // True until resolved; backs the one-open-incident-per-rider index
+    isOpen: {
+      type: Boolean,
+      default: true,
+    },
+    lastLocation: {
+      lat: { type: Number, required: true },
+      lng: { type: Number, required: true },
+      speed: { type: Number, default: 0 },
+      bearing: { type: Number, default: 0 },
+      at: { type: Date, required: true },
+    },
+    acknowledgements: [
+      {
+        user: {
+          type: Types.ObjectId,
+          ref: 'User',
+          required: true,
+        },
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    resolvedBy: {
+      type: Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    resolvedAt: {
+      type: Date,
+      default: null,
+    },
+    resolutionNote: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+incidentSchema.index({ trip: 1, createdAt: -1 });
+incidentSchema.index({ trip: 1, user: 1 }, { unique: true, partialFilterExpression: { isOpen: true } });
+
+/**
+ * Check if user has acknowledged the incident
+ * @param {ObjectId} userId
+ * @returns {boolean}
+ */
+incidentSchema.methods.isAcknowledgedBy = function (userId) {
+  return this.acknowledgements.some((ack) => {
+    const ackUserId = ack.user._id || ack.user;
+    return ackUserId.toString() === userId.toString();
+  });
+};
+
+const Incident = mongoose.model('Incident', incidentSchema);
+
+export default Incident;
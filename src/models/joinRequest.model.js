@@ -0,0 +1,55 @@
+import mongoose, { Types } from 'mongoose';
+
+/**
+ * A user's request to join a listed trip.
+ * Requests are kept after they are decided or withdrawn as a history.
+ */
+const joinRequestSchema = new mongoose.Schema(
+  {
+    trip: {
+      type: Types.ObjectId,
+      ref: 'Trip',
+      required: true,
+    },
+    user: {
+      type: Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    message: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'waitlisted', 'rejected', 'withdrawn'],
+      default: 'pending',
+    },
+    decidedBy: {
+      type: Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    decidedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+// One open request per user and trip
+joinRequestSchema.index(
+  { trip: 1, user: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+joinRequestSchema.index({ trip: 1, status: 1, createdAt: 1 });
+joinRequestSchema.index({ user: 1, status: 1 });
+
+const JoinRequest = mongoose.model('JoinRequest', joinRequestSchema);
+
+export default JoinRequest;
@@ -39,8 +39,35 @@ const locationSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    // Geofence radius override for trip stops (falls back to the trip default)
+    radiusMeters: {
+      type: Number,
+      min: 25,
+      max: 5000,
+    },
+    // GeoJSON copy of `coordinates` for 2dsphere indexes; kept in sync on validate
+    geo: {
+      type: {
+        type: String,
+        enum: ['Point'],
+      },
+      coordinates: {
+        type: [Number], // [lng, lat]
+        default: undefined,
+      },
+    },
   },
   { _id: false }
 );
 
+locationSchema.pre('validate', function () {
+  const { lat, lng } = this.coordinates || {};
+  if (lat != null && lng != null) {
+    this.geo = { type: 'Point', coordinates: [lng, lat] };
+  } else {
+    // An empty GeoJSON object would be rejected by the 2dsphere index
+    this.geo = undefined;
+  }
+});
+
 export default locationSchema;
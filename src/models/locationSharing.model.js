@@ -0,0 +1,40 @@
+import mongoose, { Types } from 'mongoose';
+
+/**
+ * A user's location sharing preference for one tracking group.
+ * Users without a document share precisely (the default).
+ */
+const locationSharingSchema = new mongoose.Schema(
+  {
+    user: {
+      type: Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Group _id or trip trackingGroupId, as used on the tracking server
+    trackingGroupId: {
+      type: String,
+      required: true,
+    },
+    mode: {
+      type: String,
+      enum: ['off', 'coarse', 'precise'],
+      default: 'precise',
+    },
+    // "Share for 2 hours": after this time sharing is treated as 'off'
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+locationSharingSchema.index({ trackingGroupId: 1, user: 1 }, { unique: true });
+
+const LocationSharing = mongoose.model('LocationSharing', locationSharingSchema);
+
+export default LocationSharing;
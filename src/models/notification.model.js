@@ -22,6 +22,23 @@ const notificationSchema = new mongoose.Schema(
         'group.updated',
         'group.deleted',
         'group.member_added',
+        'trip.rider_arrived',
+        'trip.rider_departed',
+        'trip.rider_separated',
+        'trip.sos',
+        'trip.incident_acknowledged',
+        'trip.incident_resolved',
+        'trip.started',
+        'trip.completed',
+        'trip.cancelled',
+        'trip.route_deviation',
+        'trip.join_requested',
+        'trip.join_approved',
+        'trip.join_rejected',
+        'trip.member_joined',
+        'trip.waitlisted',
+        'trip.waitlist_offer',
+        'trip.waitlist_offer_expired',
       ],
       required: true,
     },
@@ -0,0 +1,69 @@
+import mongoose, { Types } from 'mongoose';
+
+/**
+ * A repayment between two members, marked as paid by either of them.
+ * Settlements count against the balances built up by expenses.
+ */
+const settlementSchema = new mongoose.Schema(
+  {
+    group: {
+      type: Types.ObjectId,
+      ref: 'Group',
+      required: true,
+    },
+    trip: {
+      type: Types.ObjectId,
+      ref: 'Trip',
+      default: null,
+    },
+    from: {
+      type: Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    to: {
+      type: Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 1,
+      validate: {
+        validator: Number.isInteger,
+        message: 'amount must be a whole number of minor units',
+      },
+    },
+    currency: {
+      type: String,
+      required: true,
+      uppercase: true,
+      match: /^[A-Z]{3}$/,
+    },
+    markedBy: {
+      type: Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    paidAt: {
+      type: Date,
+      default: Date.now,
+    },
+    message: {
+      type: Types.ObjectId,
+      ref: 'Message',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+settlementSchema.index({ group: 1, paidAt: -1 });
+
+const Settlement = mongoose.model('Settlement', settlementSchema);
+
+export default Settlement;
@@ -0,0 +1,73 @@
+import mongoose, { Types } from 'mongoose';
+
+/**
+ * View-only live tracking link for people without an account.
+ * Only a hash of the token is stored; the raw token is shown once, on creation.
+ * Links are kept after they expire or are revoked as an audit trail.
+ */
+const shareLinkSchema = new mongoose.Schema(
+  {
+    trip: {
+      type: Types.ObjectId,
+      ref: 'Trip',
+      required: true,
+    },
+    trackingGroupId: {
+      type: String,
+      required: true,
+    },
+    // Only this rider's positions are visible; null shows the whole trip
+    rider: {
+      type: Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    createdBy: {
+      type: Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedBy: {
+      type: Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+shareLinkSchema.index({ tokenHash: 1 }, { unique: true });
+shareLinkSchema.index({ trip: 1, createdAt: -1 });
+
+/**
+ * Check if the link can still be used
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+shareLinkSchema.methods.isUsable = function (now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+const ShareLink = mongoose.model('ShareLink', shareLinkSchema);
+
+export default ShareLink;
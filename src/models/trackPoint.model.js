@@ -0,0 +1,68 @@
+import mongoose, { Types } from 'mongoose';
+
+/**
+ * Location breadcrumb recorded by the tracking server.
+ * Stored in a MongoDB time-series collection bucketed per trip rider.
+ */
+const trackPointSchema = new mongoose.Schema(
+  {
+    ts: {
+      type: Date,
+      required: true,
+    },
+    meta: {
+      trackingGroupId: {
+        type: String,
+        required: true,
+      },
+      user: {
+        type: Types.ObjectId,
+        ref: 'User',
+        required: true,
+      },
+    },
+    lat: {
+      type: Number,
+      required: true,
+      min: -90,
+      max: 90,
+    },
+    lng: {
+      type: Number,
+      required: true,
+      min: -180,
+      max: 180,
+    },
+    speed: {
+      type: Number,
+      default: 0,
+    },
+    bearing: {
+      type: Number,
+      default: 0,
+    },
+    status: {
+      type: Number,
+      default: 0,
+    },
+    // Meters above sea level, when the device reports it
+    altitude: {
+      type: Number,
+    },
+  },
+  {
+    timeseries: {
+      timeField: 'ts',
+      metaField: 'meta',
+      granularity: 'seconds',
+    },
+    versionKey: false,
+  }
+);
+
+// Index for per-trip, per-rider path reads
+trackPointSchema.index({ 'meta.trackingGroupId': 1, 'meta.user': 1, ts: 1 });
+
+const TrackPoint = mongoose.model('TrackPoint', trackPointSchema);
+
+export default TrackPoint;
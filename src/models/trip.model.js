@@ -1,6 +1,18 @@
 import mongoose, { Types } from 'mongoose';
 import locationSchema from './location.schema.js';
 
+const routePointSchema = new mongoose.Schema(
+  {
+    lat: { type: Number, required: true, min: -90, max: 90 },
+    lng: { type: Number, required: true, min: -180, max: 180 },
+  },
+  { _id: false }
+);
+
+// Stops keep an id across itinerary edits so arrivals recorded at a stop stay with it
+const stopSchema = locationSchema.clone();
+stopSchema.add({ _id: { type: Types.ObjectId, auto: true } });
+
 const tripSchema = new mongoose.Schema(
   {
     title: {
@@ -22,7 +34,7 @@ const tripSchema = new mongoose.Schema(
       type: locationSchema,
       required: true,
     },
-    stops: [locationSchema],
+    stops: [stopSchema],
     createdBy: {
       type: Types.ObjectId,
       ref: 'User',
@@ -41,6 +53,41 @@ const tripSchema = new mongoose.Schema(
         },
       },
     ],
+    // Riders turned away while the trip is full, in order; the first ones get an
+    // offer to take a freed seat and have until offerExpiresAt to confirm
+    waitlist: [
+      {
+        user: {
+          type: Types.ObjectId,
+          ref: 'User',
+          required: true,
+        },
+        joinedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        offeredAt: {
+          type: Date,
+          default: null,
+        },
+        offerExpiresAt: {
+          type: Date,
+          default: null,
+        },
+      },
+    ],
+    maxParticipants: {
+      type: Number,
+      default: null, // null means unlimited
+      min: 2,
+    },
+    // How long a waitlisted rider has to confirm a freed seat
+    waitlistOfferMinutes: {
+      type: Number,
+      default: 60,
+      min: 5,
+      max: 24 * 60,
+    },
     startDate: {
       type: Date,
       required: true,
@@ -53,11 +100,139 @@ const tripSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // public: listed, anyone may join; request: listed, the creator approves joins;
+    // private: unlisted, the creator adds participants
+    visibility: {
+      type: String,
+      enum: ['public', 'request', 'private'],
+      default: 'request',
+    },
+    // Lifecycle: planned → ongoing → completed, or cancelled before completion
+    status: {
+      type: String,
+      enum: ['planned', 'ongoing', 'completed', 'cancelled'],
+      default: 'planned',
+    },
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    endedAt: {
+      type: Date,
+      default: null,
+    },
+    // Ride chat, created with the trip
+    chatGroup: {
+      type: Types.ObjectId,
+      ref: 'Group',
+      default: null,
+    },
     trackingGroupId: {
       type: String,
       unique: true,
       sparse: true,
     },
+    trackingSettings: {
+      geofenceRadiusMeters: {
+        type: Number,
+        default: 200,
+        min: 25,
+        max: 5000,
+      },
+      // "Rider left behind" alerts: how far / how long behind the pack, or how long stopped off-plan
+      separationDistanceKm: {
+        type: Number,
+        default: 2,
+        min: 0.1,
+        max: 100,
+      },
+      separationMinutesBehind: {
+        type: Number,
+        default: 10,
+        min: 1,
+        max: 240,
+      },
+      separationStationaryMinutes: {
+        type: Number,
+        default: 5,
+        min: 1,
+        max: 120,
+      },
+      // Riders further than this from the planned route are reported as off route
+      routeCorridorMeters: {
+        type: Number,
+        default: 500,
+        min: 50,
+        max: 10000,
+      },
+    },
+    // Road route between the planned points, imported from GPX or drawn in the app
+    plannedRoute: {
+      points: {
+        type: [routePointSchema],
+        default: undefined,
+      },
+      source: {
+        type: String,
+        enum: ['gpx', 'polyline', 'points'],
+      },
+      updatedAt: Date,
+    },
+    // Riders who reached a planned point ('start', 'stop:<stop _id>', 'destination')
+    checkpointArrivals: [
+      {
+        user: {
+          type: Types.ObjectId,
+          ref: 'User',
+          required: true,
+        },
+        point: {
+          type: String,
+          required: true,
+        },
+        arrivedAt: {
+          type: Date,
+          required: true,
+        },
+        departedAt: {
+          type: Date,
+          default: null,
+        },
+      },
+    ],
+    // Ride statistics computed from recorded breadcrumbs once the trip ends
+    stats: {
+      computedAt: {
+        type: Date,
+        default: null,
+      },
+      group: {
+        riderCount: Number,
+        totalDistanceMeters: Number,
+        avgDistanceMeters: Number,
+        movingSeconds: Number,
+        stoppedSeconds: Number,
+        avgSpeedKmh: Number,
+        maxSpeedKmh: Number,
+        elevationGainMeters: Number,
+      },
+      participants: [
+        {
+          user: {
+            type: Types.ObjectId,
+            ref: 'User',
+            required: true,
+          },
+          distanceMeters: Number,
+          movingSeconds: Number,
+          stoppedSeconds: Number,
+          avgSpeedKmh: Number,
+          maxSpeedKmh: Number,
+          elevationGainMeters: Number,
+          elevationLossMeters: Number,
+        },
+      ],
+    },
   },
   {
     timestamps: true,
@@ -69,6 +244,12 @@ tripSchema.index({ createdBy: 1, isActive: 1 });
 tripSchema.index({ 'participants.user': 1, isActive: 1 });
 tripSchema.index({ startDate: 1, isActive: 1 });
 tripSchema.index({ isActive: 1, startDate: -1 });
+tripSchema.index({ status: 1, startDate: 1 });
+tripSchema.index({ status: 1, endDate: 1 });
+tripSchema.index({ status: 1, 'stats.computedAt': 1, endedAt: 1 });
+tripSchema.index({ 'stats.participants.user': 1 });
+tripSchema.index({ 'startLocation.geo': '2dsphere' });
+tripSchema.index({ 'waitlist.offerExpiresAt': 1 }, { sparse: true });
 
 // Validation: endDate must be after startDate
 tripSchema.pre('save', function () {
@@ -77,6 +258,23 @@ tripSchema.pre('save', function () {
   }
 });
 
+// Allowed status transitions
+const STATUS_TRANSITIONS = {
+  planned: ['ongoing', 'cancelled'],
+  ongoing: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: [],
+};
+
+/**
+ * Check if the trip may move to a new status
+ * @param {string} status - Target status
+ * @returns {boolean}
+ */
+tripSchema.methods.canTransitionTo = function (status) {
+  return STATUS_TRANSITIONS[this.status]?.includes(status) || false;
+};
+
 /**
  * Check if user is a participant of the trip
  * @param {ObjectId} userId
@@ -135,6 +333,30 @@ tripSchema.methods.removeParticipant = async function (userId) {
   return this.save();
 };
 
+/**
+ * Check if user is on the trip's waitlist
+ * @param {ObjectId} userId
+ * @returns {boolean}
+ */
+tripSchema.methods.isWaitlisted = function (userId) {
+  return this.waitlist.some((entry) => {
+    const entryUserId = entry.user._id || entry.user;
+    return entryUserId.toString() === userId.toString();
+  });
+};
+
+/**
+ * Count free seats, holding back seats offered to waitlisted riders
+ * @param {Date} [now]
+ * @returns {number} Infinity when the trip has no capacity limit
+ */
+tripSchema.methods.getAvailableSeats = function (now = new Date()) {
+  if (!this.maxParticipants) return Infinity;
+
+  const heldSeats = this.waitlist.filter((entry) => entry.offerExpiresAt && entry.offerExpiresAt > now).length;
+  return Math.max(0, this.maxParticipants - this.participants.length - heldSeats);
+};
+
 /**
  * Get participant count
  * @returns {number}
@@ -1,6 +1,8 @@
 import express from 'express';
 import * as groupController from '../../controllers/group.controller.js';
 import * as messageController from '../../controllers/message.controller.js';
+import * as locationSharingController from '../../controllers/locationSharing.controller.js';
+import * as expenseController from '../../controllers/expense.controller.js';
 import auth from '../../middlewares/auth.js';
 import { verifyGroupMembership, verifyGroupAdmin, verifyGroupCreator } from '../../middlewares/groupAuth.js';
 
@@ -25,6 +27,17 @@ router.delete('/:id/members/:userId', verifyGroupMembership, groupController.rem
 router.patch('/:id/members/:userId/role', verifyGroupAdmin, groupController.updateMemberRole);
 router.post('/:id/leave', verifyGroupMembership, groupController.leaveGroup);
 
+// Live location sharing routes
+router.get('/:id/sharing', verifyGroupMembership, locationSharingController.getGroupSharing);
+router.put('/:id/sharing', verifyGroupMembership, locationSharingController.updateGroupSharing);
+
+// Expense ledger routes
+router.post('/:id/expenses', verifyGroupMembership, expenseController.createExpense);
+router.get('/:id/expenses', verifyGroupMembership, expenseController.getExpenses);
+router.get('/:id/balances', verifyGroupMembership, expenseController.getBalances);
+router.post('/:id/settlements', verifyGroupMembership, expenseController.recordSettlement);
+router.get('/:id/settlements', verifyGroupMembership, expenseController.getSettlements);
+
 // Message routes
 router.post('/:id/messages', verifyGroupMembership, groupController.sendMessage);
 router.get('/:id/messages', verifyGroupMembership, groupController.getMessages);
@@ -1,5 +1,11 @@
 import express from 'express';
 import * as tripController from '../../controllers/trip.controller.js';
+import * as incidentController from '../../controllers/incident.controller.js';
+import * as locationSharingController from '../../controllers/locationSharing.controller.js';
+import * as shareLinkController from '../../controllers/shareLink.controller.js';
+import * as joinRequestController from '../../controllers/joinRequest.controller.js';
+import * as tripWaitlistController from '../../controllers/tripWaitlist.controller.js';
+import * as expenseController from '../../controllers/expense.controller.js';
 import auth from '../../middlewares/auth.js';
 
 const router = express.Router();
@@ -15,8 +21,60 @@ router.get('/:id', tripController.getTrip);
 router.patch('/:id', tripController.updateTrip);
 router.delete('/:id', tripController.deleteTrip);
 
+// Lifecycle routes (planned → ongoing → completed, or cancelled)
+router.post('/:id/start', tripController.startTrip);
+router.post('/:id/end', tripController.endTrip);
+router.post('/:id/cancel', tripController.cancelTrip);
+
+// Planned route (GPX files are sent raw; they are far larger than the JSON body limit)
+router.put(
+  '/:id/route',
+  express.text({ type: ['application/gpx+xml', 'application/xml', 'text/xml'], limit: '5mb' }),
+  tripController.setTripRoute
+);
+router.delete('/:id/route', tripController.clearTripRoute);
+
+// Tracking history routes
+router.get('/:id/track', tripController.getTripTrack);
+router.get('/:id/replay', tripController.getTripReplay);
+router.get('/:id/eta', tripController.getTripEta);
+router.get('/:id/export', tripController.exportTripTrack);
+
+// Live location sharing routes
+router.get('/:id/sharing', locationSharingController.getTripSharing);
+router.put('/:id/sharing', locationSharingController.updateTripSharing);
+
+// View-only share links for people without an account
+router.post('/:id/share-links', shareLinkController.createShareLink);
+router.get('/:id/share-links', shareLinkController.getShareLinks);
+router.delete('/:id/share-links/:linkId', shareLinkController.revokeShareLink);
+
+// Emergency incident routes (raised by SOS / crash frames on the tracking server)
+router.get('/:id/incidents', incidentController.getTripIncidents);
+router.post('/:id/incidents/:incidentId/acknowledge', incidentController.acknowledgeIncident);
+router.post('/:id/incidents/:incidentId/resolve', incidentController.resolveIncident);
+
+// Expense ledger (kept in the trip's ride chat)
+router.post('/:id/expenses', expenseController.createExpense);
+router.get('/:id/expenses', expenseController.getExpenses);
+router.get('/:id/balances', expenseController.getBalances);
+router.post('/:id/settlements', expenseController.recordSettlement);
+router.get('/:id/settlements', expenseController.getSettlements);
+
 // Participant management routes
 router.post('/:id/participants', tripController.addParticipants);
 router.delete('/:id/participants/:userId', tripController.removeParticipant);
 
+// Join requests (public trips join at once, request-to-join trips wait for the creator)
+router.post('/:id/join-requests', joinRequestController.createJoinRequest);
+router.get('/:id/join-requests', joinRequestController.getJoinRequests);
+router.post('/:id/join-requests/:requestId/approve', joinRequestController.approveJoinRequest);
+router.post('/:id/join-requests/:requestId/reject', joinRequestController.rejectJoinRequest);
+router.delete('/:id/join-requests/:requestId', joinRequestController.withdrawJoinRequest);
+
+// Waitlist for full trips
+router.get('/:id/waitlist', tripWaitlistController.getWaitlist);
+router.post('/:id/waitlist/confirm', tripWaitlistController.confirmWaitlistOffer);
+router.delete('/:id/waitlist', tripWaitlistController.leaveWaitlist);
+
 export default router;
@@ -0,0 +1,120 @@
+import TrackPoint from '../models/trackPoint.model.js';
+import { haversineMeters } from '../utils/geo.js';
+
+/**
+ * Breadcrumb Writer Service
+ * Buffers decoded trip positions from the tracking relay, down-samples them
+ * per rider and writes them to the TrackPoint time-series collection in batches.
+ */
+
+const FLUSH_INTERVAL_MS = 10_000;      // write buffered points every 10 s
+const MAX_BUFFERED_POINTS = 2_000;     // flush early when the buffer fills up
+const MIN_SAMPLE_INTERVAL_MS = 5_000;  // keep at most one point per rider every 5 s...
+const MIN_SAMPLE_DISTANCE_M = 25;      // ...and only if the rider moved at least 25 m
+const IDLE_SAMPLE_INTERVAL_MS = 60_000; // but always keep one per minute while stationary
+const RIDER_STATE_TTL_MS = 60 * 60 * 1000;
+
+// Map<`${trackingGroupId}:${userId}`, { ts, lat, lng, status }> — last kept sample per rider
+const lastKept = new Map();
+
+let buffer = [];
+let flushing = null;
+
+/**
+ * Decide whether a position is worth keeping given the rider's previous sample
+ * @param {Object|undefined} previous
+ * @param {Object} position
+ * @param {number} now
+ * @returns {boolean}
+ */
+const shouldKeep = (previous, position, now) => {
+  if (!previous) return true;
+  if (position.status !== previous.status) return true;
+
+  const elapsed = now - previous.ts;
+  if (elapsed < MIN_SAMPLE_INTERVAL_MS) return false;
+  if (elapsed >= IDLE_SAMPLE_INTERVAL_MS) return true;
+
+  return haversineMeters(previous, position) >= MIN_SAMPLE_DISTANCE_M;
+};
+
+/**
+ * Queue a rider position for persistence
+ * @param {string} trackingGroupId - Trip tracking group ID
+ * @param {string} userId - Sender's user ID (from the JWT, never the frame)
+ * @param {Object} position - Decoded position { lat, lng, speed, bearing, status, altitude? }
+ * @returns {boolean} True if the point was kept after down-sampling
+ */
+export const recordBreadcrumb = (trackingGroupId, userId, position) => {
+  const key = `${trackingGroupId}:${userId}`;
+  const now = Date.now();
+
+  if (!shouldKeep(lastKept.get(key), position, now)) {
+    return false;
+  }
+
+  lastKept.set(key, { ts: now, lat: position.lat, lng: position.lng, status: position.status });
+  buffer.push({
+    ts: new Date(now),
+    meta: { trackingGroupId, user: userId },
+    lat: position.lat,
+    lng: position.lng,
+    speed: position.speed,
+    bearing: position.bearing,
+    status: position.status,
+    altitude: position.altitude,
+  });
+
+  if (buffer.length >= MAX_BUFFERED_POINTS) {
+    flushBreadcrumbs();
+  }
+
+  return true;
+};
+
+/**
+ * Write all buffered points to MongoDB
+ * @returns {Promise<number>} Number of points written
+ */
+export const flushBreadcrumbs = async () => {
+  if (flushing) {
+    await flushing;
+  }
+
+  if (buffer.length === 0) {
+    return 0;
+  }
+
+  const batch = buffer;
+  buffer = [];
+
+  flushing = TrackPoint.insertMany(batch, { ordered: false })
+    .then(() => batch.length)
+    .catch((error) => {
+      console.error(`[BREADCRUMB] Failed to write ${batch.length} points:`, error.message);
+
+      // Put the batch back once so a transient outage doesn't lose the ride,
+      // but never let the buffer grow without bound
+      if (buffer.length + batch.length <= MAX_BUFFERED_POINTS * 2) {
+        buffer = batch.concat(buffer);
+      }
+      return 0;
+    })
+    .finally(() => {
+      flushing = null;
+    });
+
+  return flushing;
+};
+
+setInterval(() => {
+  flushBreadcrumbs();
+
+  // Forget riders we haven't heard from in an hour
+  const cutoff = Date.now() - RIDER_STATE_TTL_MS;
+  for (const [key, sample] of lastKept) {
+    if (sample.ts < cutoff) {
+      lastKept.delete(key);
+    }
+  }
+}, FLUSH_INTERVAL_MS).unref();
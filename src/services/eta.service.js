@@ -0,0 +1,221 @@
+import Redis from 'ioredis';
+import { relayToUsers } from './sseRelay.service.js';
+import { getTrackingGroup } from './trackingMembership.service.js';
+import { getTripCheckpoints } from './geofence.service.js';
+import { claimOnce } from './trackingBus.service.js';
+import { haversineMeters, distanceToSegmentMeters } from '../utils/geo.js';
+
+/**
+ * ETA Service
+ * Rolling per-rider ETAs to the next planned point and the destination of a
+ * trip. The tracking server keeps recent speeds for every trip rider and
+ * periodically publishes ETAs as a `trip.eta` SSE event; the latest result is
+ * also kept in Redis so the API can serve it on request.
+ */
+
+const REDIS_CONNECTION = {
+  host: process.env.REDIS_HOST || '127.0.0.1',
+  port: parseInt(process.env.REDIS_PORT || '6379'),
+  password: process.env.REDIS_PASSWORD || undefined,
+  lazyConnect: true,
+};
+
+const ETA_KEY_PREFIX = 'tracking:eta:';
+const PUBLISH_INTERVAL_MS = 60_000;
+const ETA_TTL_S = 5 * 60;                  // stale ETAs disappear once nobody is riding
+const SPEED_WINDOW_MS = 10 * 60 * 1000;    // "recent speed" is the average over this window
+const ACTIVE_RIDER_MS = 10 * 60 * 1000;
+const MOVING_KMH = 5;                      // a rolling speed below this is treated as stopped
+const DEFAULT_SPEED_KMH = 40;              // used when nobody in the group is moving
+const ROAD_FACTOR = 1.3;                   // roads are longer than straight lines
+
+// Map<trackingGroupId, Map<userId, { lat, lng, ts, speeds: Array<{ ts, speed }> }>>
+const riders = new Map();
+
+let redis = null;
+let publishTimer = null;
+
+const getRedis = () => {
+  if (!redis) {
+    redis = new Redis(REDIS_CONNECTION);
+    redis.on('error', (error) => console.error('[ETA] Redis error:', error.message));
+  }
+  return redis;
+};
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Record a trip rider's position and speed
+ * @param {string} trackingGroupId - Trip tracking group (trip_xxxxxxxx)
+ * @param {string} userId - Rider
+ * @param {{lat: number, lng: number, speed: number}} location - Validated position
+ */
+export const trackRiderSpeed = (trackingGroupId, userId, location) => {
+  if (!riders.has(trackingGroupId)) {
+    riders.set(trackingGroupId, new Map());
+  }
+  const group = riders.get(trackingGroupId);
+  const now = Date.now();
+  const speeds = group.get(userId)?.speeds || [];
+
+  speeds.push({ ts: now, speed: location.speed || 0 });
+  while (speeds.length > 0 && now - speeds[0].ts > SPEED_WINDOW_MS) {
+    speeds.shift();
+  }
+
+  group.set(userId, { lat: location.lat, lng: location.lng, ts: now, speeds });
+};
+
+const rollingSpeed = (rider) =>
+  rider.speeds.reduce((sum, sample) => sum + sample.speed, 0) / Math.max(1, rider.speeds.length);
+
+/**
+ * Find where a rider is along the itinerary
+ * The rider is on the leg (pair of consecutive checkpoints) they are closest
+ * to, so the next point is that leg's end. Stateless, so it survives restarts
+ * and riders who skip a stop.
+ * @param {{lat: number, lng: number}} position
+ * @param {Array<Object>} checkpoints - Trip checkpoints in itinerary order
+ * @returns {number} Index of the next checkpoint
+ */
+const nextCheckpointIndex = (position, checkpoints) => {
+  if (checkpoints.length === 1) return 0;
+
+  let closestLeg = 0;
+  let closestDistance = Infinity;
+  for (let i = 0; i < checkpoints.length - 1; i++) {
+    const distance = distanceToSegmentMeters(position, checkpoints[i], checkpoints[i + 1]);
+    if (distance < closestDistance) {
+      closestLeg = i;
+      closestDistance = distance;
+    }
+  }
+
+  // Already at the leg's end: head for the one after it
+  const next = closestLeg + 1;
+  const atNext = haversineMeters(position, checkpoints[next]) <= checkpoints[next].radius;
+  return atNext && next < checkpoints.length - 1 ? next + 1 : next;
+};
+
+/**
+ * Compute ETAs for every active rider of a trip group
+ * @param {Object} trackingGroup - Resolved trip tracking group
+ * @param {Map<string, Object>} group - Riders' recent positions
+ * @param {number} now
+ * @returns {Object|null} { tripId, trackingGroupId, computedAt, riders } or null without checkpoints
+ */
+const computeGroupEta = (trackingGroup, group, now) => {
+  const checkpoints = getTripCheckpoints(trackingGroup.trip);
+  if (checkpoints.length === 0) return null;
+
+  const active = [...group].filter(([, rider]) => now - rider.ts <= ACTIVE_RIDER_MS);
+  const movingSpeeds = active.map(([, rider]) => rollingSpeed(rider)).filter((speed) => speed >= MOVING_KMH);
+  const groupSpeed = movingSpeeds.length
+    ? movingSpeeds.reduce((sum, speed) => sum + speed, 0) / movingSpeeds.length
+    : null;
+
+  // Remaining itinerary length from each checkpoint to the destination
+  const remainingFrom = new Array(checkpoints.length).fill(0);
+  for (let i = checkpoints.length - 2; i >= 0; i--) {
+    remainingFrom[i] = remainingFrom[i + 1] + haversineMeters(checkpoints[i], checkpoints[i + 1]) * ROAD_FACTOR;
+  }
+
+  const destination = checkpoints[checkpoints.length - 1];
+
+  const etas = active.map(([userId, rider]) => {
+    const ownSpeed = rollingSpeed(rider);
+    const [speedKmh, speedSource] =
+      ownSpeed >= MOVING_KMH ? [ownSpeed, 'rider'] : groupSpeed ? [groupSpeed, 'group'] : [DEFAULT_SPEED_KMH, 'default'];
+
+    const arrived = haversineMeters(rider, destination) <= destination.radius;
+    const nextIndex = arrived ? checkpoints.length - 1 : nextCheckpointIndex(rider, checkpoints);
+    const next = checkpoints[nextIndex];
+
+    const toNextMeters = arrived ? 0 : haversineMeters(rider, next) * ROAD_FACTOR;
+    const toDestinationMeters = arrived ? 0 : toNextMeters + remainingFrom[nextIndex];
+    const minutesTo = (meters) => Math.round((meters / 1000 / speedKmh) * 60);
+
+    return {
+      userId,
+      arrived,
+      nextPoint: { key: next.key, role: next.role, name: next.name },
+      distanceToNextKm: round(toNextMeters / 1000),
+      minutesToNext: minutesTo(toNextMeters),
+      etaNext: new Date(now + minutesTo(toNextMeters) * 60_000),
+      distanceToDestinationKm: round(toDestinationMeters / 1000),
+      minutesToDestination: minutesTo(toDestinationMeters),
+      etaDestination: new Date(now + minutesTo(toDestinationMeters) * 60_000),
+      speedKmh: round(speedKmh),
+      speedSource,
+      lastSeenAt: new Date(rider.ts),
+    };
+  });
+
+  return {
+    tripId: trackingGroup.trip._id,
+    trackingGroupId: trackingGroup.trackingGroupId,
+    computedAt: new Date(now),
+    riders: etas,
+  };
+};
+
+/**
+ * Compute, store and push ETAs for one trip group
+ * Every instance sees every rider (remote frames included), so one claim per
+ * interval decides which instance publishes.
+ * @param {string} trackingGroupId
+ * @param {Map<string, Object>} group
+ */
+const publishGroupEta = async (trackingGroupId, group) => {
+  if (!(await claimOnce(`eta:${trackingGroupId}`, PUBLISH_INTERVAL_MS / 1000 - 5))) return;
+
+  const trackingGroup = await getTrackingGroup(trackingGroupId);
+  if (trackingGroup?.kind !== 'trip') return;
+
+  const eta = computeGroupEta(trackingGroup, group, Date.now());
+  if (!eta || eta.riders.length === 0) return;
+
+  await getRedis().set(`${ETA_KEY_PREFIX}${trackingGroupId}`, JSON.stringify(eta), 'EX', ETA_TTL_S);
+  relayToUsers(Array.from(trackingGroup.members), 'trip.eta', eta);
+};
+
+/**
+ * Publish ETAs for every trip group with recent positions and drop idle riders
+ */
+const publishAll = () => {
+  const now = Date.now();
+
+  for (const [trackingGroupId, group] of riders) {
+    for (const [userId, rider] of group) {
+      if (now - rider.ts > ACTIVE_RIDER_MS) group.delete(userId);
+    }
+    if (group.size === 0) {
+      riders.delete(trackingGroupId);
+      continue;
+    }
+
+    publishGroupEta(trackingGroupId, group).catch((error) => {
+      console.error(`[ETA] Failed to publish ETAs for ${trackingGroupId}:`, error.message);
+    });
+  }
+};
+
+/**
+ * Start the periodic ETA push (tracking server only)
+ */
+export const startEtaPublisher = () => {
+  if (publishTimer) return;
+  publishTimer = setInterval(publishAll, PUBLISH_INTERVAL_MS);
+  publishTimer.unref();
+};
+
+/**
+ * Read the latest ETAs published for a trip group (API side)
+ * @param {string} trackingGroupId
+ * @returns {Promise<Object|null>} { tripId, trackingGroupId, computedAt, riders } or null when nobody is riding
+ */
+export const getLatestEta = async (trackingGroupId) => {
+  const raw = await getRedis().get(`${ETA_KEY_PREFIX}${trackingGroupId}`);
+  return raw ? JSON.parse(raw) : null;
+};
@@ -0,0 +1,350 @@
+import Expense from '../models/expense.model.js';
+import Settlement from '../models/settlement.model.js';
+import Group from '../models/group.model.js';
+import Trip from '../models/trip.model.js';
+import User from '../models/user.model.js';
+import * as messageService from './message.service.js';
+import { syncTripChatMembers } from './tripChat.service.js';
+import { splitExpense, planSettlements, isValidCurrency, formatAmount } from '../utils/expenseSplit.js';
+
+/**
+ * Expense Service
+ * A ledger of shared costs kept per group chat (a trip's ledger lives in its
+ * ride chat). Each expense and repayment is announced in the chat as a
+ * 'spend' message; balances and the settle-up plan are derived from the
+ * ledger on read so they can never disagree with it.
+ */
+
+const displayName = (user) => (user ? `${user.fName} ${user.lName || ''}`.trim() : 'Someone');
+
+/**
+ * Announce a saved ledger entry in the group chat
+ * Posted after the entry is saved, so the chat never shows one that doesn't
+ * exist, and even in chats where only admins can message. A failed post is
+ * logged rather than thrown: the entry is already recorded and a retry would
+ * record it twice.
+ * @param {ObjectId} groupId
+ * @param {ObjectId} userId - Member who recorded the entry
+ * @param {string} content
+ * @param {Object} metadata
+ * @returns {Promise<ObjectId|null>} The message _id, or null if it couldn't be posted
+ */
+const postLedgerMessage = async (groupId, userId, content, metadata) => {
+  try {
+    const message = await messageService.sendMessage(groupId, userId, content, 'spend', metadata, {
+      ignoreAdminOnly: true,
+    });
+    return message._id;
+  } catch (error) {
+    console.error(`[EXPENSE] Failed to post ${metadata.kind} message in ${groupId}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Load an active group the user belongs to
+ * @param {ObjectId} groupId
+ * @param {ObjectId} userId
+ * @returns {Promise<Group>}
+ */
+const getMemberGroup = async (groupId, userId) => {
+  const group = await Group.findOne({ _id: groupId, isActive: true });
+
+  if (!group) {
+    throw new Error('Group not found');
+  }
+
+  if (!group.isMember(userId)) {
+    throw new Error('You are not a member of this group');
+  }
+
+  return group;
+};
+
+/**
+ * Check if a user is a member or has a history in the group's ledger
+ * Riders who left a trip are dropped from its chat but may still owe or be owed.
+ * @param {Group} group
+ * @param {string} userId
+ * @returns {Promise<boolean>}
+ */
+const isLedgerParty = async (group, userId) => {
+  if (group.isMember(userId)) return true;
+
+  const [expense, settlement] = await Promise.all([
+    Expense.exists({ group: group._id, $or: [{ paidBy: userId }, { 'splits.user': userId }] }),
+    Settlement.exists({ group: group._id, $or: [{ from: userId }, { to: userId }] }),
+  ]);
+  return !!(expense || settlement);
+};
+
+/**
+ * Resolve the chat that holds a trip's expenses
+ * Trips created before ride chats existed get theirs here.
+ * @param {ObjectId} tripId
+ * @param {ObjectId} userId
+ * @returns {Promise<ObjectId>} Group _id
+ */
+export const getTripExpenseGroupId = async (tripId, userId) => {
+  const trip = await Trip.findOne({ _id: tripId, isActive: true }).select('participants chatGroup');
+
+  if (!trip) {
+    throw new Error('Trip not found');
+  }
+
+  if (!trip.isParticipant(userId)) {
+    throw new Error('You are not a participant of this trip');
+  }
+
+  if (trip.chatGroup) {
+    return trip.chatGroup;
+  }
+
+  await syncTripChatMembers(trip._id);
+  const synced = await Trip.findById(trip._id).select('chatGroup');
+  return synced.chatGroup;
+};
+
+/**
+ * Record an expense and post it to the chat
+ * @param {ObjectId} groupId
+ * @param {ObjectId} userId - Member recording the expense
+ * @param {Object} data
+ * @param {string} data.description
+ * @param {number} data.amount - Minor units
+ * @param {string} data.currency - ISO 4217 code
+ * @param {ObjectId} [data.paidBy] - Defaults to the recording member
+ * @param {'equal'|'shares'|'exact'} [data.splitType] - Defaults to equal
+ * @param {Array<Object>} [data.splits] - Who shares the cost; an equal split defaults to every member
+ * @returns {Promise<Expense>}
+ */
+export const createExpense = async (groupId, userId, data) => {
+  const group = await getMemberGroup(groupId, userId);
+  const { description, amount, splitType = 'equal' } = data;
+  const currency = data.currency.toUpperCase();
+  const paidBy = (data.paidBy || userId).toString();
+
+  if (!isValidCurrency(currency)) {
+    throw new Error('Unknown currency');
+  }
+
+  if (!group.isMember(paidBy)) {
+    throw new Error('The payer must be a member of this group');
+  }
+
+  const entries = data.splits && data.splits.length > 0
+    ? data.splits
+    : group.members.map((member) => ({ user: member.user }));
+
+  if (splitType !== 'equal' && !(data.splits && data.splits.length > 0)) {
+    throw new Error(`A ${splitType} split needs splits`);
+  }
+
+  const nonMember = entries.find((entry) => !group.isMember(entry.user));
+  if (nonMember) {
+    throw new Error('Everyone in the split must be a member of this group');
+  }
+
+  const expense = new Expense({
+    group: group._id,
+    trip: group.trip || null,
+    description,
+    amount,
+    currency,
+    paidBy,
+    splitType,
+    splits: splitExpense(amount, splitType, entries),
+    createdBy: userId,
+  });
+  await expense.save();
+
+  const payer = await User.findById(paidBy).select('fName lName');
+  expense.message = await postLedgerMessage(
+    group._id,
+    userId,
+    `${displayName(payer)} paid ${formatAmount(amount, currency)} for ${description}`,
+    {
+      kind: 'expense',
+      expenseId: expense._id,
+      description,
+      amount,
+      currency,
+      paidBy,
+      splitType,
+      splits: expense.splits.map((split) => split.toObject()),
+    }
+  );
+  if (expense.message) {
+    await expense.save();
+  }
+
+  return expense;
+};
+
+/**
+ * List a group's expenses, newest first
+ * @param {ObjectId} groupId
+ * @param {ObjectId} userId
+ * @param {number} page
+ * @param {number} limit
+ * @returns {Promise<Object>} Expenses with pagination
+ */
+export const getExpenses = async (groupId, userId, page = 1, limit = 50) => {
+  await getMemberGroup(groupId, userId);
+
+  const skip = (page - 1) * limit;
+
+  const [expenses, total] = await Promise.all([
+    Expense.find({ group: groupId })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('paidBy', 'fName lName')
+      .populate('splits.user', 'fName lName'),
+    Expense.countDocuments({ group: groupId }),
+  ]);
+
+  return {
+    expenses,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+};
+
+/**
+ * Net balances per currency and the transfers that settle them
+ * A positive net means the member is owed money.
+ * @param {ObjectId} groupId
+ * @param {ObjectId} userId
+ * @returns {Promise<Array<Object>>} [{ currency, balances: [{ user, net }], settleUp: [{ from, to, amount }] }]
+ */
+export const getBalances = async (groupId, userId) => {
+  await getMemberGroup(groupId, userId);
+
+  const [expenses, settlements] = await Promise.all([
+    Expense.find({ group: groupId }).select('amount currency paidBy splits').lean(),
+    Settlement.find({ group: groupId }).select('amount currency from to').lean(),
+  ]);
+
+  const ledgers = new Map();
+  const adjust = (currency, user, delta) => {
+    if (!ledgers.has(currency)) ledgers.set(currency, new Map());
+    const ledger = ledgers.get(currency);
+    const key = user.toString();
+    ledger.set(key, (ledger.get(key) || 0) + delta);
+  };
+
+  for (const expense of expenses) {
+    adjust(expense.currency, expense.paidBy, expense.amount);
+    for (const split of expense.splits) {
+      adjust(expense.currency, split.user, -split.amount);
+    }
+  }
+
+  for (const settlement of settlements) {
+    adjust(settlement.currency, settlement.from, settlement.amount);
+    adjust(settlement.currency, settlement.to, -settlement.amount);
+  }
+
+  const userIds = [...new Set([...ledgers.values()].flatMap((ledger) => [...ledger.keys()]))];
+  const users = await User.find({ _id: { $in: userIds } }).select('fName lName');
+  const userOf = (id) => users.find((u) => u._id.toString() === id) || { _id: id };
+
+  return [...ledgers.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([currency, ledger]) => ({
+      currency,
+      balances: [...ledger.entries()]
+        .filter(([, net]) => net !== 0)
+        .sort(([, a], [, b]) => b - a)
+        .map(([id, net]) => ({ user: userOf(id), net })),
+      settleUp: planSettlements(ledger).map(({ from, to, amount }) => ({
+        from: userOf(from),
+        to: userOf(to),
+        amount,
+      })),
+    }));
+};
+
+/**
+ * Mark a repayment between two members as paid and post it to the chat
+ * Either side of the repayment can mark it. Former members who still appear
+ * in the ledger can be repaid or repay, so their balances can be settled.
+ * @param {ObjectId} groupId
+ * @param {ObjectId} userId - Member marking the payment
+ * @param {Object} data
+ * @param {ObjectId} [data.from] - Who paid; defaults to the marking member
+ * @param {ObjectId} data.to - Who was paid
+ * @param {number} data.amount - Minor units
+ * @param {string} data.currency - ISO 4217 code
+ * @returns {Promise<Settlement>}
+ */
+export const recordSettlement = async (groupId, userId, data) => {
+  const group = await getMemberGroup(groupId, userId);
+  const { amount } = data;
+  const currency = data.currency.toUpperCase();
+  const from = (data.from || userId).toString();
+  const to = data.to.toString();
+
+  if (!isValidCurrency(currency)) {
+    throw new Error('Unknown currency');
+  }
+
+  if (from === to) {
+    throw new Error('A settlement needs two different members');
+  }
+
+  if (from !== userId.toString() && to !== userId.toString()) {
+    throw new Error('Only the payer or the payee can mark a settlement as paid');
+  }
+
+  const [fromKnown, toKnown] = await Promise.all([isLedgerParty(group, from), isLedgerParty(group, to)]);
+  if (!fromKnown || !toKnown) {
+    throw new Error('Both sides of a settlement must be members of this group or in its expenses');
+  }
+
+  const settlement = new Settlement({
+    group: group._id,
+    trip: group.trip || null,
+    from,
+    to,
+    amount,
+    currency,
+    markedBy: userId,
+  });
+  await settlement.save();
+
+  const users = await User.find({ _id: { $in: [from, to] } }).select('fName lName');
+  const nameOf = (id) => displayName(users.find((u) => u._id.toString() === id));
+  settlement.message = await postLedgerMessage(
+    group._id,
+    userId,
+    `${nameOf(from)} paid ${nameOf(to)} ${formatAmount(amount, currency)}`,
+    { kind: 'settlement', settlementId: settlement._id, from, to, amount, currency }
+  );
+  if (settlement.message) {
+    await settlement.save();
+  }
+
+  return settlement;
+};
+
+/**
+ * List repayments marked as paid in a group, newest first
+ * @param {ObjectId} groupId
+ * @param {ObjectId} userId
+ * @returns {Promise<Array<Settlement>>}
+ */
+export const getSettlements = async (groupId, userId) => {
+  await getMemberGroup(groupId, userId);
+
+  return Settlement.find({ group: groupId })
+    .sort({ paidAt: -1 })
+    .populate('from', 'fName lName')
+    .populate('to', 'fName lName')
+    .populate('markedBy', 'fName lName');
+};
@@ -8,6 +8,17 @@ const PUSH_ELIGIBLE_TYPES = new Set([
   'group.member_removed',
   'group.role_updated',
   'group.deleted',
+  'trip.rider_separated',
+  'trip.incident_acknowledged',
+  'trip.incident_resolved',
+  'trip.started',
+  'trip.cancelled',
+  'trip.route_deviation',
+  'trip.join_requested',
+  'trip.join_approved',
+  'trip.join_rejected',
+  'trip.waitlist_offer',
+  'trip.waitlist_offer_expired',
 ]);
 
 class FirebaseService {
@@ -60,7 +71,29 @@ class FirebaseService {
     await Promise.allSettled(sendPromises);
   }
 
-  async sendToDevice(pushToken, platform, { title, body, data, type }) {
+  /**
+   * Push an emergency alert to all of a user's devices, regardless of PUSH_ELIGIBLE_TYPES
+   * Sent on a separate high-importance channel so it breaks through quiet chat settings.
+   */
+  async sendUrgentPushToUser(userId, { type, title, body, data = {} }) {
+    if (!this.initialized) {
+      return;
+    }
+
+    const devices = await getDevicesWithPushToken(userId);
+
+    if (devices.length === 0) {
+      return;
+    }
+
+    const sendPromises = devices.map((device) =>
+      this.sendToDevice(device.pushToken, device.platform, { title, body, data, type, urgent: true })
+    );
+
+    await Promise.allSettled(sendPromises);
+  }
+
+  async sendToDevice(pushToken, platform, { title, body, data, type, urgent = false }) {
     console.log("this.sendToDevice", {title, body, data, type})
     const stringifiedData = {};
     for (const [key, value] of Object.entries(data)) {
@@ -75,15 +108,18 @@ class FirebaseService {
       android: {
         priority: 'high',
         notification: {
-          channelId: 'circles_messages',
+          channelId: urgent ? 'circles_emergency' : 'circles_messages',
           sound: 'default',
+          ...(urgent && { priority: 'max', visibility: 'public' }),
         },
       },
       apns: {
+        ...(urgent && { headers: { 'apns-priority': '10' } }),
         payload: {
           aps: {
             sound: 'default',
             'content-available': 1,
+            ...(urgent && { 'interruption-level': 'time-sensitive' }),
           },
         },
       },
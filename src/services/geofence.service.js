@@ -0,0 +1,197 @@
+import Trip from '../models/trip.model.js';
+import User from '../models/user.model.js';
+import { relayNotifications } from './sseRelay.service.js';
+import { haversineMeters } from '../utils/geo.js';
+
+/**
+ * Geofence Service
+ * Evaluates trip riders' live positions against circles around the trip's
+ * start, stops and destination, and announces arrivals and departures to
+ * every participant.
+ */
+
+const DEFAULT_RADIUS_M = 200;
+const EXIT_RADIUS_FACTOR = 1.5;        // leave a margin so GPS jitter at the edge doesn't flap
+const STATE_TTL_MS = 6 * 60 * 60 * 1000;
+
+// Map<trackingGroupId, { touchedAt, riders: Map<userId, Map<pointKey, 'inside'|'outside'>> }>
+const geofenceState = new Map();
+
+/**
+ * Build the list of geofenced points for a trip (points without coordinates are skipped)
+ * @param {Object} trip - Trip itinerary from the tracking group cache
+ * @returns {Array<Object>} [{ key, role, name, lat, lng, radius }]
+ */
+export const getTripCheckpoints = (trip) => {
+  const defaultRadius = trip.trackingSettings?.geofenceRadiusMeters || DEFAULT_RADIUS_M;
+  const points = [
+    { key: 'start', role: 'start', location: trip.startLocation },
+    // Stops saved before they had ids fall back to their position
+    ...(trip.stops || []).map((location, index) => ({
+      key: `stop:${location._id || index}`,
+      role: 'stop',
+      location,
+    })),
+    { key: 'destination', role: 'destination', location: trip.destination },
+  ];
+
+  return points
+    .filter(({ location }) => location?.coordinates?.lat != null && location?.coordinates?.lng != null)
+    .map(({ key, role, location }) => ({
+      key,
+      role,
+      name: location.name,
+      lat: location.coordinates.lat,
+      lng: location.coordinates.lng,
+      radius: location.radiusMeters || defaultRadius,
+    }));
+};
+
+const getRiderState = (trackingGroupId, userId) => {
+  if (!geofenceState.has(trackingGroupId)) {
+    geofenceState.set(trackingGroupId, { touchedAt: Date.now(), riders: new Map() });
+  }
+  const groupState = geofenceState.get(trackingGroupId);
+  groupState.touchedAt = Date.now();
+
+  if (!groupState.riders.has(userId)) {
+    groupState.riders.set(userId, new Map());
+  }
+  return groupState.riders.get(userId);
+};
+
+/**
+ * Record an arrival or departure on the trip and return how many riders have reached the point
+ * The trip's arrivals are the source of truth: each transition is a single
+ * conditional update that only applies if it changes the rider's open arrival,
+ * so a restart, a reconnect to another instance or two instances racing don't
+ * announce the same arrival twice.
+ * @param {ObjectId} tripId
+ * @param {string} userId
+ * @param {string} pointKey
+ * @param {'arrived'|'departed'} transition
+ * @returns {Promise<number|null>} null when the transition was already recorded
+ */
+const recordCheckpointTransition = async (tripId, userId, pointKey, transition) => {
+  const now = new Date();
+  let changed;
+
+  if (transition === 'arrived') {
+    // Back at a point the rider left earlier
+    const returned = await Trip.updateOne(
+      { _id: tripId, checkpointArrivals: { $elemMatch: { user: userId, point: pointKey, departedAt: { $ne: null } } } },
+      { $set: { 'checkpointArrivals.$.arrivedAt': now, 'checkpointArrivals.$.departedAt': null } }
+    );
+    changed = returned.modifiedCount === 1;
+
+    if (!changed) {
+      // First arrival; does nothing while an arrival is still open
+      const first = await Trip.updateOne(
+        { _id: tripId, checkpointArrivals: { $not: { $elemMatch: { user: userId, point: pointKey } } } },
+        { $push: { checkpointArrivals: { user: userId, point: pointKey, arrivedAt: now } } }
+      );
+      changed = first.modifiedCount === 1;
+    }
+  } else {
+    const departed = await Trip.updateOne(
+      { _id: tripId, checkpointArrivals: { $elemMatch: { user: userId, point: pointKey, departedAt: null } } },
+      { $set: { 'checkpointArrivals.$.departedAt': now } }
+    );
+    changed = departed.modifiedCount === 1;
+  }
+
+  if (!changed) return null;
+
+  const trip = await Trip.findById(tripId).select('checkpointArrivals').lean();
+  return new Set(
+    (trip?.checkpointArrivals || []).filter((a) => a.point === pointKey).map((a) => a.user.toString())
+  ).size;
+};
+
+/**
+ * Persist the transition and notify participants
+ * @param {Object} trackingGroup - Resolved trip tracking group
+ * @param {string} userId - Rider
+ * @param {Object} point - Checkpoint
+ * @param {'arrived'|'departed'} transition
+ */
+const announceTransition = async (trackingGroup, userId, point, transition) => {
+  const { trip } = trackingGroup;
+  const reachedCount = await recordCheckpointTransition(trip._id, userId, point.key, transition);
+  if (reachedCount === null) return;
+
+  const totalRiders = trackingGroup.members.size;
+
+  const rider = await User.findById(userId).select('fName lName');
+  const riderName = rider ? rider.fName : 'A rider';
+
+  const type = transition === 'arrived' ? 'trip.rider_arrived' : 'trip.rider_departed';
+  const title = transition === 'arrived' ? `Arrived at ${point.name}` : `Left ${point.name}`;
+  const message =
+    transition === 'arrived'
+      ? `${riderName} reached ${point.name} (${reachedCount} of ${totalRiders} riders)`
+      : `${riderName} left ${point.name}`;
+
+  const data = {
+    tripId: trip._id,
+    tripTitle: trip.title,
+    trackingGroupId: trackingGroup.trackingGroupId,
+    userId,
+    riderName,
+    point: { key: point.key, role: point.role, name: point.name },
+    reachedCount,
+    totalRiders,
+    at: new Date(),
+  };
+
+  const participantIds = Array.from(trackingGroup.members);
+  // Online participants get it over SSE, which also updates the trip map / checkpoint board
+  await relayNotifications(participantIds, type, title, message, data);
+};
+
+/**
+ * Evaluate a rider's position against the trip's checkpoints
+ * @param {Object} trackingGroup - Resolved tracking group (no-op unless kind is 'trip')
+ * @param {string} userId - Rider
+ * @param {{lat: number, lng: number}} location - Validated position
+ */
+export const evaluateGeofences = (trackingGroup, userId, location) => {
+  if (trackingGroup?.kind !== 'trip') return;
+
+  const checkpoints = getTripCheckpoints(trackingGroup.trip);
+  if (checkpoints.length === 0) return;
+
+  const riderState = getRiderState(trackingGroup.trackingGroupId, userId);
+
+  for (const point of checkpoints) {
+    const distance = haversineMeters(location, point);
+    const previous = riderState.get(point.key);
+
+    let transition = null;
+    if (distance <= point.radius && previous !== 'inside') {
+      riderState.set(point.key, 'inside');
+      transition = 'arrived';
+    } else if (distance > point.radius * EXIT_RADIUS_FACTOR && previous !== 'outside') {
+      riderState.set(point.key, 'outside');
+      // On a first sighting (after a restart or reconnect) this only closes an arrival
+      // the trip still has open; otherwise nothing is announced
+      transition = 'departed';
+    }
+
+    if (transition) {
+      announceTransition(trackingGroup, userId, point, transition).catch((error) => {
+        console.error(`[GEOFENCE] Failed to announce ${transition} at ${point.key}:`, error.message);
+      });
+    }
+  }
+};
+
+// Drop state for trips nobody has reported from in a while
+setInterval(() => {
+  const cutoff = Date.now() - STATE_TTL_MS;
+  for (const [trackingGroupId, groupState] of geofenceState) {
+    if (groupState.touchedAt < cutoff) {
+      geofenceState.delete(trackingGroupId);
+    }
+  }
+}, 10 * 60 * 1000).unref();
@@ -5,6 +5,7 @@ import Message from '../models/message.model.js';
 import * as notificationService from './notification.service.js';
 import * as senderKeyService from './senderKey.service.js';
 import sseManager from './sse.service.js';
+import { publishMembershipRevoked } from './trackingSession.service.js';
 import { Types } from 'mongoose';
 
 /**
@@ -373,6 +374,10 @@ export const addMembers = async (groupId, userId, memberIds) => {
     throw new Error('Only admins can add members');
   }
 
+  if (group.trip) {
+    throw new Error('Add riders to the trip to add them to its chat');
+  }
+
   // Verify all members exist
   const members = await User.find({ _id: { $in: memberIds } });
   if (members.length !== memberIds.length) {
@@ -450,6 +455,10 @@ export const removeMember = async (groupId, userId, targetUserId) => {
     throw new Error('Only admins can remove members');
   }
 
+  if (group.trip) {
+    throw new Error('Leave or remove riders from the trip to change its chat');
+  }
+
   // Cannot remove creator
   if (group.isCreator(targetUserId)) {
     throw new Error('Cannot remove group creator');
@@ -457,6 +466,9 @@ export const removeMember = async (groupId, userId, targetUserId) => {
 
   await group.removeMember(targetUserId);
 
+  // Stop live location for the removed member on every tracking instance
+  publishMembershipRevoked(group._id, [targetUserId]);
+
   // Create system message
   const remover = await User.findById(userId);
   const removed = await User.findById(targetUserId);
@@ -608,11 +620,18 @@ export const deleteGroup = async (groupId, userId) => {
     throw new Error('Only the creator can delete the group');
   }
 
+  if (group.trip) {
+    throw new Error('A trip chat is deleted with its trip');
+  }
+
   group.isActive = false;
   await group.save();
 
   // Notify all members about group deletion
   const memberIds = group.members.map((m) => m.user);
+
+  // Stop live location for everyone still connected to the group
+  publishMembershipRevoked(group._id, memberIds);
   const deleter = await User.findById(userId);
 
   await notificationService.createNotifications(
@@ -0,0 +1,250 @@
+import Incident from '../models/incident.model.js';
+import Trip from '../models/trip.model.js';
+import User from '../models/user.model.js';
+import * as notificationService from './notification.service.js';
+import firebaseService from './firebase.service.js';
+import { relayNotifications } from './sseRelay.service.js';
+import { LOCATION_STATUS } from '../utils/locationCodec.js';
+
+/**
+ * Incident Service
+ * Turns SOS / crash-detected tracking frames into persisted incidents,
+ * escalates them to every trip participant, and lets the group acknowledge
+ * and resolve them.
+ */
+
+const REPORT_THROTTLE_MS = 30_000; // a rider holding SOS sends a frame every few seconds
+
+// Map<`${trackingGroupId}:${userId}`, number> — last time an emergency frame was written
+const lastReported = new Map();
+
+/**
+ * Load a trip and check the user takes part in it
+ * @param {string} tripId
+ * @param {ObjectId} userId
+ * @returns {Promise<Trip>}
+ */
+const getParticipantTrip = async (tripId, userId) => {
+  const trip = await Trip.findOne({ _id: tripId, isActive: true });
+
+  if (!trip) {
+    throw new Error('Trip not found');
+  }
+
+  if (!trip.isParticipant(userId)) {
+    throw new Error('You are not a participant of this trip');
+  }
+
+  return trip;
+};
+
+const getRiderName = async (userId) => {
+  const user = await User.findById(userId).select('fName lName');
+  return user ? user.fName : 'A rider';
+};
+
+/**
+ * Alert every other participant: persisted notification, urgent push and live SSE event
+ * @param {Object} trackingGroup - Resolved trip tracking group
+ * @param {Incident} incident
+ */
+const escalateIncident = async (trackingGroup, incident) => {
+  const riderName = await getRiderName(incident.user);
+  const { lat, lng } = incident.lastLocation;
+  const recipientIds = Array.from(trackingGroup.members).filter((id) => id !== incident.user.toString());
+
+  const title = incident.type === 'crash' ? `Possible crash: ${riderName}` : `SOS from ${riderName}`;
+  const message = `Last known location ${lat.toFixed(5)}, ${lng.toFixed(5)}. Open the trip to respond.`;
+  const data = {
+    incidentId: incident._id,
+    incidentType: incident.type,
+    tripId: trackingGroup.trip._id,
+    tripTitle: trackingGroup.trip.title,
+    userId: incident.user,
+    riderName,
+    lat,
+    lng,
+    at: incident.lastLocation.at,
+  };
+
+  await relayNotifications(recipientIds, 'trip.sos', title, message, data);
+
+  // trip.sos is deliberately not push-eligible; it goes out on the urgent channel instead
+  await Promise.allSettled(
+    recipientIds.map((recipientId) =>
+      firebaseService.sendUrgentPushToUser(recipientId, { type: 'trip.sos', title, body: message, data })
+    )
+  );
+};
+
+/**
+ * Record an emergency frame from a trip rider (tracking server)
+ * The first frame opens an incident and escalates it; later frames only
+ * refresh the last known location.
+ * @param {Object} trackingGroup - Resolved trip tracking group
+ * @param {string} userId - Rider
+ * @param {Object} location - Decoded, validated location with an emergency status
+ */
+export const reportEmergency = async (trackingGroup, userId, location) => {
+  if (trackingGroup?.kind !== 'trip') return;
+
+  const key = `${trackingGroup.trackingGroupId}:${userId}`;
+  const now = Date.now();
+  if (now - (lastReported.get(key) || 0) < REPORT_THROTTLE_MS) return;
+  lastReported.set(key, now);
+
+  const type = location.status === LOCATION_STATUS.CRASH_DETECTED ? 'crash' : 'sos';
+  const lastLocation = {
+    lat: location.lat,
+    lng: location.lng,
+    speed: location.speed,
+    bearing: location.bearing,
+    at: new Date(now),
+  };
+
+  // Upsert against the one-open-incident index so concurrent instances can't open two
+  const result = await Incident.findOneAndUpdate(
+    { trip: trackingGroup.trip._id, user: userId, isOpen: true },
+    { $set: { lastLocation }, $setOnInsert: { type, status: 'open' } },
+    { upsert: true, new: true, includeResultMetadata: true }
+  );
+
+  if (!result.lastErrorObject?.updatedExisting) {
+    console.log(`[INCIDENT] ${type.toUpperCase()} from ${userId} on ${trackingGroup.trackingGroupId}`);
+    await escalateIncident(trackingGroup, result.value);
+  }
+};
+
+/**
+ * Get incidents for a trip
+ * @param {string} tripId
+ * @param {ObjectId} userId - Requesting participant
+ * @param {string} [status] - Filter by status
+ * @returns {Promise<Array<Incident>>}
+ */
+export const getTripIncidents = async (tripId, userId, status) => {
+  await getParticipantTrip(tripId, userId);
+
+  const query = { trip: tripId };
+  if (status) {
+    query.status = status;
+  }
+
+  return Incident.find(query)
+    .populate('user', 'fName lName email')
+    .populate('acknowledgements.user', 'fName lName')
+    .populate('resolvedBy', 'fName lName')
+    .sort({ createdAt: -1 });
+};
+
+/**
+ * Acknowledge an incident — tells the group this participant is responding
+ * @param {string} tripId
+ * @param {string} incidentId
+ * @param {ObjectId} userId - Responding participant
+ * @returns {Promise<Incident>}
+ */
+export const acknowledgeIncident = async (tripId, incidentId, userId) => {
+  const trip = await getParticipantTrip(tripId, userId);
+
+  const incident = await Incident.findOne({ _id: incidentId, trip: tripId });
+  if (!incident) {
+    throw new Error('Incident not found');
+  }
+
+  if (incident.status === 'resolved') {
+    throw new Error('Incident is already resolved');
+  }
+
+  if (incident.user.toString() === userId.toString()) {
+    throw new Error('Cannot acknowledge your own incident');
+  }
+
+  if (incident.isAcknowledgedBy(userId)) {
+    return incident;
+  }
+
+  incident.acknowledgements.push({ user: userId, at: new Date() });
+  incident.status = 'acknowledged';
+  await incident.save();
+
+  const responderName = await getRiderName(userId);
+  const recipientIds = trip.participants
+    .map((p) => p.user.toString())
+    .filter((id) => id !== userId.toString());
+
+  await notificationService.createNotifications(
+    recipientIds,
+    'trip.incident_acknowledged',
+    'Help is on the way',
+    `${responderName} is responding`,
+    { incidentId: incident._id, tripId: trip._id, userId: incident.user, responderId: userId, responderName }
+  );
+
+  return incident;
+};
+
+/**
+ * Resolve an incident
+ * Allowed for the rider who raised it, the trip creator, or anyone who acknowledged it.
+ * @param {string} tripId
+ * @param {string} incidentId
+ * @param {ObjectId} userId
+ * @param {string} [note] - What happened
+ * @returns {Promise<Incident>}
+ */
+export const resolveIncident = async (tripId, incidentId, userId, note) => {
+  const trip = await getParticipantTrip(tripId, userId);
+
+  const incident = await Incident.findOne({ _id: incidentId, trip: tripId });
+  if (!incident) {
+    throw new Error('Incident not found');
+  }
+
+  if (incident.status === 'resolved') {
+    throw new Error('Incident is already resolved');
+  }
+
+  const canResolve =
+    incident.user.toString() === userId.toString() ||
+    trip.isCreator(userId) ||
+    incident.isAcknowledgedBy(userId);
+
+  if (!canResolve) {
+    throw new Error('Only the rider, the trip creator or a responder can resolve this incident');
+  }
+
+  incident.status = 'resolved';
+  incident.isOpen = false;
+  incident.resolvedBy = userId;
+  incident.resolvedAt = new Date();
+  if (note) {
+    incident.resolutionNote = note;
+  }
+  await incident.save();
+
+  const resolverName = await getRiderName(userId);
+  const recipientIds = trip.participants
+    .map((p) => p.user.toString())
+    .filter((id) => id !== userId.toString());
+
+  await notificationService.createNotifications(
+    recipientIds,
+    'trip.incident_resolved',
+    'Incident resolved',
+    note ? `${resolverName} resolved the incident: ${note}` : `${resolverName} resolved the incident`,
+    { incidentId: incident._id, tripId: trip._id, userId: incident.user, resolvedBy: userId }
+  );
+
+  return incident;
+};
+
+// Forget throttle entries for riders who stopped sending emergency frames
+setInterval(() => {
+  const cutoff = Date.now() - REPORT_THROTTLE_MS * 10;
+  for (const [key, reportedAt] of lastReported) {
+    if (reportedAt < cutoff) {
+      lastReported.delete(key);
+    }
+  }
+}, 5 * 60 * 1000).unref();
@@ -0,0 +1,281 @@
+import JoinRequest from '../models/joinRequest.model.js';
+import Trip from '../models/trip.model.js';
+import User from '../models/user.model.js';
+import * as notificationService from './notification.service.js';
+import { claimSeat, addToWaitlist } from './tripWaitlist.service.js';
+import { syncTripChatMembers } from './tripChat.service.js';
+
+/**
+ * Join Request Service
+ * Lets users ask to join trips they found through search. Public trips take
+ * the user straight away; request-to-join trips wait for the creator's
+ * decision; private trips accept no requests. Joins that find the trip full
+ * go on its waitlist.
+ */
+
+const MAX_PENDING_PER_USER = 10;      // open requests one user may have across trips
+const MAX_PENDING_PER_TRIP = 100;     // open requests waiting on one trip's creator
+
+const displayName = (user) => (user ? `${user.fName} ${user.lName || ''}`.trim() : 'Someone');
+
+/**
+ * Load a trip that is still accepting new participants
+ * @param {ObjectId} tripId
+ * @returns {Promise<Trip>}
+ */
+const getJoinableTrip = async (tripId) => {
+  const trip = await Trip.findOne({ _id: tripId, isActive: true });
+
+  if (!trip) {
+    throw new Error('Trip not found');
+  }
+
+  if (trip.visibility === 'private') {
+    throw new Error('This trip is invite only');
+  }
+
+  if (trip.status !== 'planned') {
+    throw new Error(`Cannot join a ${trip.status} trip`);
+  }
+
+  return trip;
+};
+
+/**
+ * Seat an accepted user, or put them on the waitlist when the trip is full
+ * @param {Trip} trip
+ * @param {ObjectId} userId
+ * @returns {Promise<number|null>} Waitlist position, or null when seated
+ */
+const admitToTrip = async (trip, userId) => {
+  if (await claimSeat(trip, userId)) {
+    await syncTripChatMembers(trip._id);
+    return null;
+  }
+  return addToWaitlist(trip, userId);
+};
+
+const notifyWaitlisted = (trip, userId, position) =>
+  notificationService.createNotifications(
+    [userId],
+    'trip.waitlisted',
+    'On the waitlist',
+    `${trip.title} is full. You're number ${position} on the waitlist`,
+    { tripId: trip._id, tripTitle: trip.title, position }
+  );
+
+/**
+ * Ask to join a trip
+ * On a public trip the request is approved at once and the user joins.
+ * @param {ObjectId} tripId
+ * @param {ObjectId} userId - Requester
+ * @param {Object} options
+ * @param {string} [options.message] - Note to the trip creator
+ * @returns {Promise<JoinRequest>}
+ */
+export const createJoinRequest = async (tripId, userId, { message } = {}) => {
+  const trip = await getJoinableTrip(tripId);
+
+  if (trip.isParticipant(userId)) {
+    throw new Error('You are already a participant of this trip');
+  }
+
+  if (trip.isWaitlisted(userId)) {
+    throw new Error('You are already on the waitlist of this trip');
+  }
+
+  const existing = await JoinRequest.findOne({ trip: trip._id, user: userId, status: 'pending' });
+  if (existing) {
+    throw new Error('You already have a pending request for this trip');
+  }
+
+  const requester = await User.findById(userId).select('fName lName');
+  const data = { tripId: trip._id, tripTitle: trip.title, userId };
+
+  if (trip.visibility === 'public') {
+    const position = await admitToTrip(trip, userId);
+    const joinRequest = await JoinRequest.create({
+      trip: trip._id,
+      user: userId,
+      message,
+      status: position ? 'waitlisted' : 'approved',
+      decidedAt: new Date(),
+    });
+
+    if (position) {
+      await notifyWaitlisted(trip, userId, position);
+      return joinRequest;
+    }
+
+    await notificationService.createNotifications(
+      [trip.createdBy],
+      'trip.member_joined',
+      'New rider',
+      `${displayName(requester)} joined ${trip.title}`,
+      { ...data, joinRequestId: joinRequest._id }
+    );
+
+    return joinRequest;
+  }
+
+  const [userPending, tripPending] = await Promise.all([
+    JoinRequest.countDocuments({ user: userId, status: 'pending' }),
+    JoinRequest.countDocuments({ trip: trip._id, status: 'pending' }),
+  ]);
+
+  if (userPending >= MAX_PENDING_PER_USER) {
+    throw new Error(`You can have at most ${MAX_PENDING_PER_USER} pending join requests`);
+  }
+
+  if (tripPending >= MAX_PENDING_PER_TRIP) {
+    throw new Error('This trip is not taking more join requests right now');
+  }
+
+  let joinRequest;
+  try {
+    joinRequest = await JoinRequest.create({ trip: trip._id, user: userId, message });
+  } catch (error) {
+    // Lost a race with a concurrent request from the same user
+    if (error.code === 11000) {
+      throw new Error('You already have a pending request for this trip');
+    }
+    throw error;
+  }
+
+  await notificationService.createNotifications(
+    [trip.createdBy],
+    'trip.join_requested',
+    'Join request',
+    message
+      ? `${displayName(requester)} asked to join ${trip.title}: "${message}"`
+      : `${displayName(requester)} asked to join ${trip.title}`,
+    { ...data, joinRequestId: joinRequest._id, message }
+  );
+
+  return joinRequest;
+};
+
+/**
+ * List a trip's join requests
+ * The creator sees every request with the given status; anyone else sees only their own.
+ * @param {ObjectId} tripId
+ * @param {ObjectId} userId
+ * @param {string} [status] - Defaults to pending
+ * @returns {Promise<Array<JoinRequest>>}
+ */
+export const getJoinRequests = async (tripId, userId, status = 'pending') => {
+  const trip = await Trip.findOne({ _id: tripId, isActive: true });
+
+  if (!trip) {
+    throw new Error('Trip not found');
+  }
+
+  const filter = { trip: trip._id, status };
+  if (!trip.isCreator(userId)) {
+    filter.user = userId;
+  }
+
+  return JoinRequest.find(filter)
+    .sort({ createdAt: 1 })
+    .populate('user', 'fName lName email')
+    .populate('decidedBy', 'fName lName');
+};
+
+/**
+ * Approve or reject a pending request (trip creator only)
+ * @param {ObjectId} tripId
+ * @param {ObjectId} requestId
+ * @param {ObjectId} userId - Trip creator
+ * @param {'approved'|'rejected'} decision
+ * @returns {Promise<JoinRequest>}
+ */
+const decideJoinRequest = async (tripId, requestId, userId, decision) => {
+  const trip = await Trip.findOne({ _id: tripId, isActive: true });
+
+  if (!trip) {
+    throw new Error('Trip not found');
+  }
+
+  if (!trip.isCreator(userId)) {
+    throw new Error('Only the creator can decide join requests');
+  }
+
+  if (decision === 'approved' && trip.status !== 'planned') {
+    throw new Error(`Cannot join a ${trip.status} trip`);
+  }
+
+  // Conditional so a withdrawn or already-decided request isn't overwritten
+  const joinRequest = await JoinRequest.findOneAndUpdate(
+    { _id: requestId, trip: trip._id, status: 'pending' },
+    { $set: { status: decision, decidedBy: userId, decidedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!joinRequest) {
+    throw new Error('Pending join request not found');
+  }
+
+  if (decision === 'approved') {
+    const position = await admitToTrip(trip, joinRequest.user);
+    if (position) {
+      joinRequest.status = 'waitlisted';
+      await joinRequest.save();
+      await notifyWaitlisted(trip, joinRequest.user, position);
+      return joinRequest;
+    }
+  }
+
+  const approved = decision === 'approved';
+  await notificationService.createNotifications(
+    [joinRequest.user],
+    approved ? 'trip.join_approved' : 'trip.join_rejected',
+    approved ? 'Join request approved' : 'Join request declined',
+    approved
+      ? `You're in! You joined ${trip.title}`
+      : `Your request to join ${trip.title} was declined`,
+    { tripId: trip._id, tripTitle: trip.title, joinRequestId: joinRequest._id }
+  );
+
+  return joinRequest;
+};
+
+/**
+ * Approve a pending request and add the requester to the trip
+ * @param {ObjectId} tripId
+ * @param {ObjectId} requestId
+ * @param {ObjectId} userId - Trip creator
+ * @returns {Promise<JoinRequest>}
+ */
+export const approveJoinRequest = (tripId, requestId, userId) =>
+  decideJoinRequest(tripId, requestId, userId, 'approved');
+
+/**
+ * Reject a pending request
+ * @param {ObjectId} tripId
+ * @param {ObjectId} requestId
+ * @param {ObjectId} userId - Trip creator
+ * @returns {Promise<JoinRequest>}
+ */
+export const rejectJoinRequest = (tripId, requestId, userId) =>
+  decideJoinRequest(tripId, requestId, userId, 'rejected');
+
+/**
+ * Withdraw your own pending request
+ * @param {ObjectId} tripId
+ * @param {ObjectId} requestId
+ * @param {ObjectId} userId - Requester
+ * @returns {Promise<JoinRequest>}
+ */
+export const withdrawJoinRequest = async (tripId, requestId, userId) => {
+  const joinRequest = await JoinRequest.findOneAndUpdate(
+    { _id: requestId, trip: tripId, user: userId, status: 'pending' },
+    { $set: { status: 'withdrawn', decidedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!joinRequest) {
+    throw new Error('Pending join request not found');
+  }
+
+  return joinRequest;
+};
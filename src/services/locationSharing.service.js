@@ -0,0 +1,256 @@
+import Redis from 'ioredis';
+import LocationSharing from '../models/locationSharing.model.js';
+import Trip from '../models/trip.model.js';
+
+/**
+ * Location Sharing Service
+ * Per-user, per-group sharing preferences (off / coarse / precise, optionally
+ * for a limited time). The API stores them; the tracking server keeps them in
+ * memory and applies them before relaying a frame. Changes reach the tracking
+ * server immediately over Redis.
+ */
+
+const REDIS_CONNECTION = {
+  host: process.env.REDIS_HOST || '127.0.0.1',
+  port: parseInt(process.env.REDIS_PORT || '6379'),
+  password: process.env.REDIS_PASSWORD || undefined,
+  lazyConnect: true,
+};
+
+const SHARING_CHANNEL = 'tracking:sharing';
+const CACHE_TTL_MS = 60_000;          // re-read settings every minute as a fallback to Redis
+const LAPSE_SWEEP_MS = 5_000;         // how soon a timed share is noticed to have ended
+const MAX_DURATION_MINUTES = 7 * 24 * 60;
+
+// Map<`${trackingGroupId}:${userId}`, { mode, expiresAt: number|null, loadedAt }>
+const cache = new Map();
+
+// Keys with a load in flight
+const loading = new Set();
+
+// Keys whose timed share has already been announced as lapsed, with the expiry announced
+const lapsed = new Map();
+
+let publisher = null;
+let subscriber = null;
+
+const cacheKey = (trackingGroupId, userId) => `${trackingGroupId}:${userId}`;
+
+/**
+ * Work out the mode in force from a stored setting
+ * The one place the expiry rule lives; it works on documents and on cache entries.
+ * @param {{mode: string, expiresAt: Date|number|null}|null} setting
+ * @param {number} [now]
+ * @returns {'off'|'coarse'|'precise'}
+ */
+const effectiveMode = (setting, now = Date.now()) => {
+  if (!setting) return 'precise';
+  if (setting.expiresAt && new Date(setting.expiresAt).getTime() <= now) return 'off';
+  return setting.mode;
+};
+
+/**
+ * Shape a setting for API responses
+ * @param {string} trackingGroupId
+ * @param {LocationSharing|null} setting
+ * @returns {Object}
+ */
+const toSharingResponse = (trackingGroupId, setting) => ({
+  trackingGroupId,
+  mode: setting ? setting.mode : 'precise',
+  effectiveMode: effectiveMode(setting),
+  expiresAt: setting ? setting.expiresAt : null,
+});
+
+/**
+ * Resolve a trip to its tracking group, checking the user takes part in it
+ * @param {string} tripId
+ * @param {ObjectId} userId
+ * @returns {Promise<string>} trackingGroupId
+ */
+export const getTripTrackingGroupId = async (tripId, userId) => {
+  const trip = await Trip.findOne({ _id: tripId, isActive: true });
+
+  if (!trip) {
+    throw new Error('Trip not found');
+  }
+
+  if (!trip.isParticipant(userId)) {
+    throw new Error('You are not a participant of this trip');
+  }
+
+  return trip.trackingGroupId;
+};
+
+/**
+ * Get a user's sharing setting for a tracking group
+ * @param {string} trackingGroupId - Group _id or trip trackingGroupId
+ * @param {ObjectId} userId
+ * @returns {Promise<Object>} { trackingGroupId, mode, effectiveMode, expiresAt }
+ */
+export const getSharingSetting = async (trackingGroupId, userId) => {
+  const setting = await LocationSharing.findOne({ trackingGroupId, user: userId });
+  return toSharingResponse(trackingGroupId, setting);
+};
+
+/**
+ * Update a user's sharing setting for a tracking group
+ * @param {string} trackingGroupId - Group _id or trip trackingGroupId
+ * @param {ObjectId} userId
+ * @param {Object} options
+ * @param {'off'|'coarse'|'precise'} options.mode
+ * @param {number} [options.durationMinutes] - Share for this long, then turn off
+ * @returns {Promise<Object>} { trackingGroupId, mode, effectiveMode, expiresAt }
+ */
+export const updateSharingSetting = async (trackingGroupId, userId, { mode, durationMinutes }) => {
+  if (durationMinutes !== undefined && durationMinutes !== null) {
+    if (mode === 'off') {
+      throw new Error('A duration only applies when sharing is on');
+    }
+    if (!Number.isInteger(durationMinutes) || durationMinutes < 1 || durationMinutes > MAX_DURATION_MINUTES) {
+      throw new Error(`durationMinutes must be between 1 and ${MAX_DURATION_MINUTES}`);
+    }
+  }
+
+  const expiresAt = durationMinutes ? new Date(Date.now() + durationMinutes * 60 * 1000) : null;
+
+  const setting = await LocationSharing.findOneAndUpdate(
+    { trackingGroupId, user: userId },
+    { $set: { mode, expiresAt } },
+    { upsert: true, new: true, runValidators: true }
+  );
+
+  publishSharingChange(trackingGroupId, userId, setting);
+
+  return toSharingResponse(trackingGroupId, setting);
+};
+
+/**
+ * Tell tracking servers about a changed setting
+ * @param {string} trackingGroupId
+ * @param {ObjectId} userId
+ * @param {LocationSharing} setting
+ */
+const publishSharingChange = (trackingGroupId, userId, setting) => {
+  if (!publisher) {
+    publisher = new Redis(REDIS_CONNECTION);
+    publisher.on('error', (error) => console.error('[SHARING] Publisher error:', error.message));
+  }
+
+  const payload = JSON.stringify({
+    trackingGroupId,
+    userId: userId.toString(),
+    mode: setting.mode,
+    expiresAt: setting.expiresAt ? setting.expiresAt.getTime() : null,
+  });
+
+  publisher.publish(SHARING_CHANNEL, payload).catch((error) => {
+    console.error('[SHARING] Failed to publish sharing change:', error.message);
+  });
+};
+
+// ─── Tracking server side ──────────────────────────────────────────────────────
+
+/**
+ * Load a user's setting into the tracking server's cache
+ * @param {string} trackingGroupId
+ * @param {string} userId
+ * @returns {Promise<'off'|'coarse'|'precise'>} Mode in force
+ */
+export const loadSharingMode = async (trackingGroupId, userId) => {
+  const setting = await LocationSharing.findOne({ trackingGroupId, user: userId })
+    .select('mode expiresAt')
+    .lean();
+
+  const entry = {
+    mode: setting ? setting.mode : 'precise',
+    expiresAt: setting?.expiresAt ? setting.expiresAt.getTime() : null,
+    loadedAt: Date.now(),
+  };
+  cache.set(cacheKey(trackingGroupId, userId), entry);
+
+  return effectiveMode(entry);
+};
+
+/**
+ * Get the mode in force for a sender, from cache (hot path, never waits)
+ * Settings are loaded when the user connects; stale entries are refreshed in
+ * the background. An unknown user is treated as 'off' until the load finishes.
+ * @param {string} trackingGroupId
+ * @param {string} userId
+ * @returns {'off'|'coarse'|'precise'}
+ */
+export const getSharingMode = (trackingGroupId, userId) => {
+  const key = cacheKey(trackingGroupId, userId);
+  const entry = cache.get(key);
+
+  if ((!entry || Date.now() - entry.loadedAt > CACHE_TTL_MS) && !loading.has(key)) {
+    loading.add(key);
+    loadSharingMode(trackingGroupId, userId)
+      .catch((error) => console.error(`[SHARING] Failed to load setting for ${key}:`, error.message))
+      .finally(() => loading.delete(key));
+  }
+
+  return entry ? effectiveMode(entry) : 'off';
+};
+
+/**
+ * Make sure a user's setting is cached before their frames arrive
+ * @param {string} trackingGroupId
+ * @param {string} userId
+ * @returns {Promise<'off'|'coarse'|'precise'>} Mode in force
+ */
+export const prepareSharingMode = async (trackingGroupId, userId) => {
+  if (cache.has(cacheKey(trackingGroupId, userId))) {
+    return getSharingMode(trackingGroupId, userId);
+  }
+  return loadSharingMode(trackingGroupId, userId);
+};
+
+/**
+ * Apply setting changes published by the API as they happen
+ * @param {Function} [onChange] - (trackingGroupId, userId, mode) => void
+ */
+export const startSharingSync = async (onChange) => {
+  if (subscriber) return;
+
+  // Timed shares end on their own: announce each lapse once, as it happens,
+  // so the tracking server can forget the rider's last position straight away
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of cache) {
+      const expiresAt = entry.expiresAt ? new Date(entry.expiresAt).getTime() : null;
+      if (!expiresAt || expiresAt > now || lapsed.get(key) === expiresAt) continue;
+
+      lapsed.set(key, expiresAt);
+      const separator = key.lastIndexOf(':');
+      onChange?.(key.slice(0, separator), key.slice(separator + 1), effectiveMode(entry, now));
+    }
+  }, LAPSE_SWEEP_MS).unref();
+
+  subscriber = new Redis(REDIS_CONNECTION);
+  subscriber.on('error', (error) => console.error('[SHARING] Subscriber error:', error.message));
+  subscriber.on('message', (_channel, raw) => {
+    try {
+      const { trackingGroupId, userId, mode, expiresAt } = JSON.parse(raw);
+      const entry = { mode, expiresAt, loadedAt: Date.now() };
+      cache.set(cacheKey(trackingGroupId, userId), entry);
+      onChange?.(trackingGroupId, userId, effectiveMode(entry));
+    } catch (error) {
+      console.error('[SHARING] Dropped malformed sharing change:', error.message);
+    }
+  });
+
+  await subscriber.subscribe(SHARING_CHANNEL);
+};
+
+// Forget settings of users who stopped sending
+setInterval(() => {
+  const cutoff = Date.now() - CACHE_TTL_MS * 30;
+  for (const [key, entry] of cache) {
+    if (entry.loadedAt < cutoff) {
+      cache.delete(key);
+      lapsed.delete(key);
+    }
+  }
+}, 5 * 60 * 1000).unref();
@@ -11,9 +11,11 @@ import sseManager from './sse.service.js';
  * @param {string} content
  * @param {string} type
  * @param {Object} metadata
+ * @param {Object} [options]
+ * @param {boolean} [options.ignoreAdminOnly] - Post even when only admins can message (ledger entries)
  * @returns {Promise<Message>}
  */
-export const sendMessage = async (groupId, senderId, content, type = 'text', metadata = {}) => {
+export const sendMessage = async (groupId, senderId, content, type = 'text', metadata = {}, { ignoreAdminOnly = false } = {}) => {
   const group = await Group.findOne({ _id: groupId, isActive: true });
 
   if (!group) {
@@ -25,7 +27,7 @@ export const sendMessage = async (groupId, senderId, content, type = 'text', met
   }
 
   // Check if only admins can message
-  if (group.settings.onlyAdminsCanMessage && !group.isAdmin(senderId)) {
+  if (group.settings.onlyAdminsCanMessage && !ignoreAdminOnly && !group.isAdmin(senderId)) {
     throw new Error('Only admins can send messages in this group');
   }
 
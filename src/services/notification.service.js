@@ -24,6 +24,19 @@ export const createNotification = async (userId, type, title, message, data = {}
     isRead: false,
   });
 
+  await deliverNotification(notification);
+
+  return notification;
+};
+
+/**
+ * Send a stored notification: over SSE if the user is online, else FCM push
+ * @param {Notification} notification
+ * @returns {Promise<void>}
+ */
+const deliverNotification = async (notification) => {
+  const userId = notification.user;
+
   // Try to send via SSE if user is online
   const isOnline = sseManager.isUserOnline(userId);
   
@@ -55,8 +68,6 @@ export const createNotification = async (userId, type, title, message, data = {}
       console.error('FCM push failed:', userId.toString(), error.message);
     }
   }
-
-  return notification;
 };
 
 /**
@@ -76,6 +87,42 @@ export const createNotifications = async (userIds, type, title, message, data =
   return notifications;
 };
 
+/**
+ * Store notifications without sending them
+ * For processes with no SSE connections (the tracking server): they can't tell
+ * who is online, so the API process sends them once they are relayed there.
+ * @param {Array<ObjectId>} userIds - Array of recipient user IDs
+ * @param {string} type - Notification type
+ * @param {string} title - Notification title
+ * @param {string} message - Notification message
+ * @param {Object} data - Additional data
+ * @returns {Promise<Array<Notification>>}
+ */
+export const storeNotifications = async (userIds, type, title, message, data = {}) => {
+  return Notification.insertMany(
+    userIds.map((userId) => ({
+      user: userId,
+      type,
+      title,
+      message,
+      data,
+      isDelivered: false,
+      isRead: false,
+    }))
+  );
+};
+
+/**
+ * Send notifications stored by another process
+ * Ones already delivered (e.g. picked up by a long poll meanwhile) are skipped.
+ * @param {Array<ObjectId|string>} notificationIds
+ * @returns {Promise<void>}
+ */
+export const deliverStoredNotifications = async (notificationIds) => {
+  const notifications = await Notification.find({ _id: { $in: notificationIds }, isDelivered: false });
+  await Promise.all(notifications.map((notification) => deliverNotification(notification)));
+};
+
 /**
  * Get notifications for a user (paginated)
  * @param {ObjectId} userId - User ID
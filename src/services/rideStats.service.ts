@@ -0,0 +1,53 @@
+/**
+ * Ride Stats Service — Lifetime Totals per User
+ * ==============================================
+ *
+ * Trip stats are computed by the JS trip service when a trip ends and stored
+ * on each trip document (`stats.participants`). This service rolls them up
+ * for a single user. It reads the `trips` collection directly because the
+ * Trip model lives on the JS side of the codebase.
+ */
+
+import mongoose, { Types } from 'mongoose';
+
+export interface LifetimeRideStats {
+  tripCount: number;
+  distanceMeters: number;
+  movingSeconds: number;
+  maxSpeedKmh: number;
+  elevationGainMeters: number;
+}
+
+const EMPTY_STATS: LifetimeRideStats = {
+  tripCount: 0,
+  distanceMeters: 0,
+  movingSeconds: 0,
+  maxSpeedKmh: 0,
+  elevationGainMeters: 0,
+};
+
+/**
+ * Sum a user's stats across every trip that has them.
+ */
+export const getLifetimeRideStats = async (userId: string): Promise<LifetimeRideStats> => {
+  const user = new Types.ObjectId(userId);
+
+  const [totals] = await mongoose.connection.collection('trips').aggregate<LifetimeRideStats>([
+    { $match: { isActive: true, 'stats.participants.user': user } },
+    { $unwind: '$stats.participants' },
+    { $match: { 'stats.participants.user': user } },
+    {
+      $group: {
+        _id: null,
+        tripCount: { $sum: 1 },
+        distanceMeters: { $sum: '$stats.participants.distanceMeters' },
+        movingSeconds: { $sum: '$stats.participants.movingSeconds' },
+        maxSpeedKmh: { $max: '$stats.participants.maxSpeedKmh' },
+        elevationGainMeters: { $sum: { $ifNull: ['$stats.participants.elevationGainMeters', 0] } },
+      },
+    },
+    { $project: { _id: 0 } },
+  ]).toArray();
+
+  return totals || EMPTY_STATS;
+};
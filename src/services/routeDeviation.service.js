@@ -0,0 +1,150 @@
+import User from '../models/user.model.js';
+import { relayNotifications } from './sseRelay.service.js';
+import { distanceToSegmentMeters } from '../utils/geo.js';
+
+/**
+ * Route Deviation Service
+ * Measures each trip rider's distance from the trip's planned route and tells
+ * the rider and the trip creator when the rider leaves the route corridor.
+ */
+
+const DEFAULT_CORRIDOR_M = 500;
+const REJOIN_FACTOR = 0.8;                 // back on route only well inside the corridor, so the edge doesn't flap
+const SEARCH_WINDOW_SEGMENTS = 50;         // segments either side of the last match to try before a full scan
+const NOTIFY_COOLDOWN_MS = 10 * 60 * 1000; // at most one alert per rider per 10 min
+const STATE_TTL_MS = 6 * 60 * 60 * 1000;
+
+// Map<trackingGroupId, { touchedAt, riders: Map<userId, { offRoute, segmentIndex, notifiedAt }> }>
+const deviationState = new Map();
+
+const getRiderState = (trackingGroupId, userId) => {
+  if (!deviationState.has(trackingGroupId)) {
+    deviationState.set(trackingGroupId, { touchedAt: Date.now(), riders: new Map() });
+  }
+  const groupState = deviationState.get(trackingGroupId);
+  groupState.touchedAt = Date.now();
+
+  if (!groupState.riders.has(userId)) {
+    groupState.riders.set(userId, { offRoute: false, segmentIndex: null, notifiedAt: 0 });
+  }
+  return groupState.riders.get(userId);
+};
+
+const nearestSegment = (route, location, from, to) => {
+  let best = { index: -1, distance: Infinity };
+  for (let i = from; i < to; i++) {
+    const distance = distanceToSegmentMeters(location, route[i], route[i + 1]);
+    if (distance < best.distance) {
+      best = { index: i, distance };
+    }
+  }
+  return best;
+};
+
+/**
+ * Find the route segment closest to a position
+ * Riders move along the route, so the neighbourhood of the last match is
+ * tried first and the whole route is only scanned when that misses.
+ * @param {Array<{lat: number, lng: number}>} route
+ * @param {{lat: number, lng: number}} location
+ * @param {number|null} lastIndex - Segment matched on the previous fix
+ * @param {number} corridor - Meters
+ * @returns {{index: number, distance: number}}
+ */
+const locateOnRoute = (route, location, lastIndex, corridor) => {
+  const segmentCount = route.length - 1;
+
+  if (lastIndex !== null) {
+    const from = Math.max(0, lastIndex - SEARCH_WINDOW_SEGMENTS);
+    const to = Math.min(segmentCount, lastIndex + SEARCH_WINDOW_SEGMENTS + 1);
+    const nearby = nearestSegment(route, location, from, to);
+    if (nearby.distance <= corridor) {
+      return nearby;
+    }
+  }
+
+  return nearestSegment(route, location, 0, segmentCount);
+};
+
+/**
+ * Notify the rider and the trip creator
+ * @param {Object} trackingGroup - Resolved trip tracking group
+ * @param {string} userId - Rider
+ * @param {{lat: number, lng: number}} location
+ * @param {number} distance - Meters from the route
+ * @param {number} corridor - Meters
+ */
+const announceDeviation = async (trackingGroup, userId, location, distance, corridor) => {
+  const { trip } = trackingGroup;
+  const rider = await User.findById(userId).select('fName lName');
+  const riderName = rider ? rider.fName : 'A rider';
+  const distanceKm = Math.round(distance / 100) / 10;
+
+  const data = {
+    tripId: trip._id,
+    tripTitle: trip.title,
+    trackingGroupId: trackingGroup.trackingGroupId,
+    userId,
+    riderName,
+    distanceMeters: Math.round(distance),
+    corridorMeters: corridor,
+    lastPosition: { lat: location.lat, lng: location.lng, at: new Date() },
+  };
+
+  const recipientIds = Array.from(new Set([userId, ...trackingGroup.admins]));
+  await relayNotifications(
+    recipientIds,
+    'trip.route_deviation',
+    'Off the planned route',
+    `${riderName} is ${distanceKm} km off the planned route`,
+    data
+  );
+};
+
+/**
+ * Evaluate a rider's position against the trip's planned route
+ * @param {Object} trackingGroup - Resolved tracking group (no-op unless it is a trip with a route)
+ * @param {string} userId - Rider
+ * @param {{lat: number, lng: number}} location - Validated position
+ */
+export const evaluateRouteDeviation = (trackingGroup, userId, location) => {
+  if (trackingGroup?.kind !== 'trip') return;
+
+  const route = trackingGroup.trip.plannedRoute;
+  if (!route || route.length < 2) return;
+
+  const corridor = trackingGroup.trip.trackingSettings?.routeCorridorMeters || DEFAULT_CORRIDOR_M;
+  const riderState = getRiderState(trackingGroup.trackingGroupId, userId);
+
+  // The route may have been replaced since the last fix
+  if (riderState.segmentIndex !== null && riderState.segmentIndex >= route.length - 1) {
+    riderState.segmentIndex = null;
+  }
+
+  const { index, distance } = locateOnRoute(route, location, riderState.segmentIndex, corridor);
+  riderState.segmentIndex = index;
+
+  if (!riderState.offRoute && distance > corridor) {
+    riderState.offRoute = true;
+
+    const now = Date.now();
+    if (now - riderState.notifiedAt < NOTIFY_COOLDOWN_MS) return;
+    riderState.notifiedAt = now;
+
+    announceDeviation(trackingGroup, userId, location, distance, corridor).catch((error) => {
+      console.error('[ROUTE] Failed to announce route deviation:', error.message);
+    });
+  } else if (riderState.offRoute && distance <= corridor * REJOIN_FACTOR) {
+    riderState.offRoute = false;
+  }
+};
+
+// Drop state for trips nobody has reported from in a while
+setInterval(() => {
+  const cutoff = Date.now() - STATE_TTL_MS;
+  for (const [trackingGroupId, groupState] of deviationState) {
+    if (groupState.touchedAt < cutoff) {
+      deviationState.delete(trackingGroupId);
+    }
+  }
+}, 10 * 60 * 1000).unref();
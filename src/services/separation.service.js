@@ -0,0 +1,229 @@
+import User from '../models/user.model.js';
+import { relayNotifications } from './sseRelay.service.js';
+import { getTrackingGroup } from './trackingMembership.service.js';
+import { getTripCheckpoints } from './geofence.service.js';
+import { claimOnce } from './trackingBus.service.js';
+import { haversineMeters } from '../utils/geo.js';
+
+/**
+ * Separation Service
+ * Watches the riders of each trip convoy and alerts the trip lead when a
+ * rider falls too far behind the pack, or has stopped somewhere that isn't a
+ * planned stop while the rest of the group keeps moving.
+ */
+
+const EVALUATE_INTERVAL_MS = 30_000;
+const ACTIVE_RIDER_MS = 10 * 60 * 1000;    // riders silent longer than this are left out of the pack
+const STATIONARY_RADIUS_M = 50;            // moving less than this counts as standing still
+const PACK_MOVING_KMH = 10;                // below this the whole group is treated as stopped
+const ALERT_CLAIM_TTL_S = 15 * 60;         // one alert per separated rider per 15 min across instances
+
+const DEFAULT_THRESHOLDS = {
+  separationDistanceKm: 2,
+  separationMinutesBehind: 10,
+  separationStationaryMinutes: 5,
+};
+
+// Map<trackingGroupId, Map<userId, { lat, lng, speed, ts, anchor: {lat, lng}, stillSince }>>
+const positions = new Map();
+
+// Map<trackingGroupId, Set<userId>> — riders already reported as separated
+const separatedRiders = new Map();
+
+let evaluateTimer = null;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Record a trip rider's latest position
+ * @param {string} trackingGroupId - Trip tracking group (trip_xxxxxxxx)
+ * @param {string} userId - Rider
+ * @param {{lat: number, lng: number, speed: number}} location - Validated position
+ */
+export const trackRiderPosition = (trackingGroupId, userId, location) => {
+  if (!positions.has(trackingGroupId)) {
+    positions.set(trackingGroupId, new Map());
+  }
+  const riders = positions.get(trackingGroupId);
+  const now = Date.now();
+  const previous = riders.get(userId);
+
+  // Keep the spot where the rider last stopped so slow GPS drift doesn't reset the clock
+  const moved = !previous || haversineMeters(previous.anchor, location) > STATIONARY_RADIUS_M;
+
+  riders.set(userId, {
+    lat: location.lat,
+    lng: location.lng,
+    speed: location.speed || 0,
+    ts: now,
+    anchor: moved ? { lat: location.lat, lng: location.lng } : previous.anchor,
+    stillSince: moved ? now : previous.stillSince,
+  });
+};
+
+/**
+ * Work out whether a rider is separated from the rest of the group
+ * @param {Object} rider - Rider's latest position
+ * @param {Array<Object>} pack - Latest positions of the other active riders
+ * @param {Object} thresholds - Trip tracking settings
+ * @param {Array<Object>} checkpoints - Trip geofences
+ * @param {number} now
+ * @returns {Object|null} { reason, distanceKm, minutesBehind, stationaryMinutes } or null
+ */
+const detectSeparation = (rider, pack, thresholds, checkpoints, now) => {
+  // Median rather than mean so one straggler doesn't drag the pack centre towards themselves
+  const packCentre = { lat: median(pack.map((p) => p.lat)), lng: median(pack.map((p) => p.lng)) };
+  const packSpeed = median(pack.map((p) => p.speed));
+  const distanceKm = haversineMeters(rider, packCentre) / 1000;
+
+  // With a destination, only riders further from it than the pack are "behind"
+  const destination = checkpoints.find((point) => point.role === 'destination');
+  const isBehind = !destination || haversineMeters(rider, destination) > haversineMeters(packCentre, destination);
+
+  const minutesBehind = packSpeed >= PACK_MOVING_KMH ? (distanceKm / packSpeed) * 60 : 0;
+  const stationaryMinutes = (now - rider.stillSince) / 60_000;
+  const atPlannedStop = checkpoints.some((point) => haversineMeters(rider, point) <= point.radius);
+
+  const details = {
+    distanceKm: Math.round(distanceKm * 10) / 10,
+    minutesBehind: Math.round(minutesBehind),
+    stationaryMinutes: Math.round(stationaryMinutes),
+  };
+
+  if (isBehind && distanceKm > thresholds.separationDistanceKm) {
+    return { reason: 'distance', ...details };
+  }
+  if (isBehind && minutesBehind > thresholds.separationMinutesBehind) {
+    return { reason: 'time', ...details };
+  }
+  if (
+    stationaryMinutes > thresholds.separationStationaryMinutes &&
+    packSpeed >= PACK_MOVING_KMH &&
+    !atPlannedStop
+  ) {
+    return { reason: 'stationary', ...details };
+  }
+  return null;
+};
+
+const describeSeparation = (riderName, separation) => {
+  switch (separation.reason) {
+    case 'distance':
+      return `${riderName} is ${separation.distanceKm} km behind the group`;
+    case 'time':
+      return `${riderName} is about ${separation.minutesBehind} min behind the group`;
+    default:
+      return `${riderName} has been stopped for ${separation.stationaryMinutes} min away from any planned stop`;
+  }
+};
+
+/**
+ * Alert the trip lead that a rider has been separated
+ * @param {Object} trackingGroup - Resolved trip tracking group
+ * @param {string} userId - Separated rider
+ * @param {Object} rider - Rider's latest position
+ * @param {Object} separation - Output of detectSeparation
+ */
+const alertSeparation = async (trackingGroup, userId, rider, separation) => {
+  if (!(await claimOnce(`separation:${trackingGroup.trackingGroupId}:${userId}`, ALERT_CLAIM_TTL_S))) {
+    return;
+  }
+
+  const recipientIds = Array.from(trackingGroup.admins).filter((id) => id !== userId);
+  if (recipientIds.length === 0) return;
+
+  const user = await User.findById(userId).select('fName lName');
+  const riderName = user ? user.fName : 'A rider';
+  const { trip } = trackingGroup;
+
+  const data = {
+    tripId: trip._id,
+    tripTitle: trip.title,
+    trackingGroupId: trackingGroup.trackingGroupId,
+    userId,
+    riderName,
+    ...separation,
+    lastPosition: { lat: rider.lat, lng: rider.lng, at: new Date(rider.ts) },
+  };
+
+  await relayNotifications(
+    recipientIds,
+    'trip.rider_separated',
+    'Rider separated',
+    describeSeparation(riderName, separation),
+    data
+  );
+};
+
+/**
+ * Check one trip group for separated riders
+ * @param {string} trackingGroupId
+ * @param {Map<string, Object>} riders
+ */
+const evaluateGroup = async (trackingGroupId, riders) => {
+  const now = Date.now();
+  const active = [...riders].filter(([, rider]) => now - rider.ts <= ACTIVE_RIDER_MS);
+  if (active.length < 2) return;
+
+  const trackingGroup = await getTrackingGroup(trackingGroupId);
+  if (trackingGroup?.kind !== 'trip') return;
+
+  const thresholds = { ...DEFAULT_THRESHOLDS, ...trackingGroup.trip.trackingSettings };
+  const checkpoints = getTripCheckpoints(trackingGroup.trip);
+
+  if (!separatedRiders.has(trackingGroupId)) {
+    separatedRiders.set(trackingGroupId, new Set());
+  }
+  const separated = separatedRiders.get(trackingGroupId);
+
+  for (const [userId, rider] of active) {
+    const pack = active.filter(([id]) => id !== userId).map(([, other]) => other);
+    const separation = detectSeparation(rider, pack, thresholds, checkpoints, now);
+
+    if (!separation) {
+      separated.delete(userId); // back with the group — alert again if they drop off later
+      continue;
+    }
+    if (separated.has(userId)) continue;
+
+    separated.add(userId);
+    alertSeparation(trackingGroup, userId, rider, separation).catch((error) => {
+      console.error(`[SEPARATION] Failed to alert for ${userId} in ${trackingGroupId}:`, error.message);
+    });
+  }
+};
+
+/**
+ * Evaluate every trip group with recent positions and drop idle ones
+ */
+const evaluateAll = () => {
+  const now = Date.now();
+
+  for (const [trackingGroupId, riders] of positions) {
+    for (const [userId, rider] of riders) {
+      if (now - rider.ts > ACTIVE_RIDER_MS * 6) riders.delete(userId);
+    }
+    if (riders.size === 0) {
+      positions.delete(trackingGroupId);
+      separatedRiders.delete(trackingGroupId);
+      continue;
+    }
+
+    evaluateGroup(trackingGroupId, riders).catch((error) => {
+      console.error(`[SEPARATION] Evaluation failed for ${trackingGroupId}:`, error.message);
+    });
+  }
+};
+
+/**
+ * Start the periodic separation check
+ */
+export const startSeparationMonitor = () => {
+  if (evaluateTimer) return;
+  evaluateTimer = setInterval(evaluateAll, EVALUATE_INTERVAL_MS);
+  evaluateTimer.unref();
+};
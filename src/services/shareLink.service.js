@@ -0,0 +1,203 @@
+import crypto from 'crypto';
+import ShareLink from '../models/shareLink.model.js';
+import Trip from '../models/trip.model.js';
+
+/**
+ * Share Link Service
+ * View-only live tracking links for family and friends without accounts.
+ * The API mints and revokes links; the tracking server resolves a link's
+ * token to the trip (and optionally the one rider) it may watch.
+ */
+
+const DEFAULT_EXPIRY_MINUTES = 4 * 60;
+const MAX_EXPIRY_MINUTES = 7 * 24 * 60;
+const CACHE_TTL_MS = 30_000;          // revocations reach the tracking server within this
+
+// Map<tokenHash, { value: Object|null, expiresAt: number }>
+const cache = new Map();
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Shape a link for API responses (never includes the token)
+ * @param {ShareLink} link
+ * @returns {Object}
+ */
+const toShareLinkResponse = (link) => ({
+  _id: link._id,
+  trip: link.trip,
+  rider: link.rider,
+  createdBy: link.createdBy,
+  expiresAt: link.expiresAt,
+  revokedAt: link.revokedAt,
+  revokedBy: link.revokedBy,
+  lastUsedAt: link.lastUsedAt,
+  createdAt: link.createdAt,
+  isUsable: link.isUsable(),
+});
+
+/**
+ * Create a view-only share link for a trip
+ * Participants may share their own position; only the trip creator may share
+ * the whole trip or another rider.
+ * @param {ObjectId} tripId
+ * @param {ObjectId} userId - Creator of the link
+ * @param {Object} options
+ * @param {ObjectId|string|null} [options.riderId] - Only show this rider (null for everyone)
+ * @param {number} [options.expiresInMinutes] - Defaults to 4 hours, at most 7 days
+ * @returns {Promise<Object>} { shareLink, token } — the token is only ever returned here
+ */
+export const createShareLink = async (tripId, userId, { riderId = null, expiresInMinutes = DEFAULT_EXPIRY_MINUTES }) => {
+  const trip = await Trip.findOne({ _id: tripId, isActive: true });
+
+  if (!trip) {
+    throw new Error('Trip not found');
+  }
+
+  if (!trip.isParticipant(userId)) {
+    throw new Error('You are not a participant of this trip');
+  }
+
+  if (!['planned', 'ongoing'].includes(trip.status)) {
+    throw new Error(`Cannot share a ${trip.status} trip`);
+  }
+
+  if (!trip.trackingGroupId) {
+    throw new Error('Trip has no tracking group');
+  }
+
+  if (riderId && !trip.isParticipant(riderId)) {
+    throw new Error('Rider is not a participant of this trip');
+  }
+
+  const sharesOnlySelf = riderId && riderId.toString() === userId.toString();
+  if (!sharesOnlySelf && !trip.isCreator(userId)) {
+    throw new Error('Only the creator can share the whole trip or another rider');
+  }
+
+  if (!Number.isInteger(expiresInMinutes) || expiresInMinutes < 1 || expiresInMinutes > MAX_EXPIRY_MINUTES) {
+    throw new Error(`expiresInMinutes must be between 1 and ${MAX_EXPIRY_MINUTES}`);
+  }
+
+  const token = crypto.randomBytes(24).toString('base64url');
+  const link = await ShareLink.create({
+    trip: trip._id,
+    trackingGroupId: trip.trackingGroupId,
+    rider: riderId || null,
+    createdBy: userId,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + expiresInMinutes * 60 * 1000),
+  });
+
+  return { shareLink: toShareLinkResponse(link), token };
+};
+
+/**
+ * List a trip's share links (the creator sees all, others see their own)
+ * @param {ObjectId} tripId
+ * @param {ObjectId} userId
+ * @returns {Promise<Array<Object>>}
+ */
+export const getShareLinks = async (tripId, userId) => {
+  const trip = await Trip.findOne({ _id: tripId, isActive: true });
+
+  if (!trip) {
+    throw new Error('Trip not found');
+  }
+
+  if (!trip.isParticipant(userId)) {
+    throw new Error('You are not a participant of this trip');
+  }
+
+  const filter = { trip: trip._id };
+  if (!trip.isCreator(userId)) {
+    filter.createdBy = userId;
+  }
+
+  const links = await ShareLink.find(filter)
+    .sort({ createdAt: -1 })
+    .populate('rider', 'fName lName')
+    .populate('createdBy', 'fName lName');
+
+  return links.map(toShareLinkResponse);
+};
+
+/**
+ * Revoke a share link (its creator or the trip creator)
+ * @param {ObjectId} tripId
+ * @param {ObjectId} linkId
+ * @param {ObjectId} userId
+ * @returns {Promise<Object>}
+ */
+export const revokeShareLink = async (tripId, linkId, userId) => {
+  const trip = await Trip.findOne({ _id: tripId, isActive: true });
+
+  if (!trip) {
+    throw new Error('Trip not found');
+  }
+
+  const link = await ShareLink.findOne({ _id: linkId, trip: trip._id });
+
+  if (!link) {
+    throw new Error('Share link not found');
+  }
+
+  if (link.createdBy.toString() !== userId.toString() && !trip.isCreator(userId)) {
+    throw new Error('Only the link creator or the trip creator can revoke a share link');
+  }
+
+  if (!link.revokedAt) {
+    link.revokedAt = new Date();
+    link.revokedBy = userId;
+    await link.save();
+  }
+
+  return toShareLinkResponse(link);
+};
+
+// ─── Tracking server side ──────────────────────────────────────────────────────
+
+/**
+ * Resolve a share token to what it may watch, served from cache when fresh
+ * @param {string} token - Raw share token
+ * @returns {Promise<Object|null>} { id, trackingGroupId, riderId, expiresAt } or null if unknown,
+ *   expired or revoked
+ */
+export const resolveShareLink = async (token) => {
+  const tokenHash = hashToken(token);
+  const cached = cache.get(tokenHash);
+  const now = Date.now();
+
+  let value;
+  if (cached && cached.expiresAt > now) {
+    value = cached.value;
+  } else {
+    const link = await ShareLink.findOneAndUpdate(
+      { tokenHash, revokedAt: null, expiresAt: { $gt: new Date(now) } },
+      { $set: { lastUsedAt: new Date(now) } },
+      { new: true }
+    ).lean();
+
+    value = link
+      ? {
+          id: link._id.toString(),
+          trackingGroupId: link.trackingGroupId,
+          riderId: link.rider ? link.rider.toString() : null,
+          expiresAt: link.expiresAt.getTime(),
+        }
+      : null;
+    cache.set(tokenHash, { value, expiresAt: now + CACHE_TTL_MS });
+  }
+
+  return value && value.expiresAt > now ? value : null;
+};
+
+// Sweep expired cache entries
+setInterval(() => {
+  const now = Date.now();
+  for (const [tokenHash, entry] of cache) {
+    if (entry.expiresAt <= now) {
+      cache.delete(tokenHash);
+    }
+  }
+}, 60_000).unref();
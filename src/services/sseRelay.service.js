@@ -0,0 +1,99 @@
+import Redis from 'ioredis';
+import sseManager from './sse.service.js';
+import * as notificationService from './notification.service.js';
+
+/**
+ * SSE Relay Service
+ * SSE connections live in the API process, but trip events are raised by the
+ * tracking server. The tracking server publishes events to Redis and the API
+ * process forwards them to connected users through the SSE manager.
+ * Notifications go the same way: the tracking server stores them and the API
+ * process, which knows who is online, sends each over SSE or as a push.
+ */
+
+const REDIS_CONNECTION = {
+  host: process.env.REDIS_HOST || '127.0.0.1',
+  port: parseInt(process.env.REDIS_PORT || '6379'),
+  password: process.env.REDIS_PASSWORD || undefined,
+  lazyConnect: true,
+};
+
+const SSE_RELAY_CHANNEL = 'sse:relay';
+const NOTIFICATION_RELAY_CHANNEL = 'sse:notifications';
+
+let publisher = null;
+let subscriber = null;
+
+/**
+ * Send an SSE event to users connected to the API process
+ * @param {Array<ObjectId|string>} userIds - Recipient user IDs
+ * @param {string} event - Event name
+ * @param {Object} data - Event data
+ */
+export const relayToUsers = (userIds, event, data) => {
+  if (!publisher) {
+    publisher = new Redis(REDIS_CONNECTION);
+    publisher.on('error', (error) => console.error('[SSE-RELAY] Publisher error:', error.message));
+  }
+
+  const payload = JSON.stringify({ userIds: userIds.map((id) => id.toString()), event, data });
+  publisher.publish(SSE_RELAY_CHANNEL, payload).catch((error) => {
+    console.error(`[SSE-RELAY] Failed to relay ${event}:`, error.message);
+  });
+};
+
+/**
+ * Store notifications and have the API process send them
+ * Use instead of notificationService.createNotifications outside the API process.
+ * @param {Array<ObjectId|string>} userIds - Recipient user IDs
+ * @param {string} type - Notification type
+ * @param {string} title - Notification title
+ * @param {string} message - Notification message
+ * @param {Object} data - Additional data
+ * @returns {Promise<Array<Notification>>}
+ */
+export const relayNotifications = async (userIds, type, title, message, data = {}) => {
+  const notifications = await notificationService.storeNotifications(userIds, type, title, message, data);
+
+  if (!publisher) {
+    publisher = new Redis(REDIS_CONNECTION);
+    publisher.on('error', (error) => console.error('[SSE-RELAY] Publisher error:', error.message));
+  }
+
+  // Undelivered notifications still reach users through the long poll if this is lost
+  const payload = JSON.stringify({ notificationIds: notifications.map((notification) => notification._id.toString()) });
+  publisher.publish(NOTIFICATION_RELAY_CHANNEL, payload).catch((error) => {
+    console.error(`[SSE-RELAY] Failed to relay ${type} notifications:`, error.message);
+  });
+
+  return notifications;
+};
+
+/**
+ * Start forwarding relayed events to local SSE connections (API process only)
+ */
+export const startSseRelay = async () => {
+  if (subscriber) return;
+
+  subscriber = new Redis(REDIS_CONNECTION);
+  subscriber.on('error', (error) => console.error('[SSE-RELAY] Subscriber error:', error.message));
+  subscriber.on('message', (channel, raw) => {
+    try {
+      if (channel === NOTIFICATION_RELAY_CHANNEL) {
+        const { notificationIds } = JSON.parse(raw);
+        notificationService.deliverStoredNotifications(notificationIds).catch((error) => {
+          console.error('[SSE-RELAY] Failed to deliver notifications:', error.message);
+        });
+        return;
+      }
+
+      const { userIds, event, data } = JSON.parse(raw);
+      sseManager.sendToUsers(userIds, event, data);
+    } catch (error) {
+      console.error('[SSE-RELAY] Dropped malformed event:', error.message);
+    }
+  });
+
+  await subscriber.subscribe(SSE_RELAY_CHANNEL, NOTIFICATION_RELAY_CHANNEL);
+  console.log('[SSE-RELAY] Forwarding tracking events to SSE clients');
+};
@@ -0,0 +1,128 @@
+import Redis from 'ioredis';
+import { randomUUID } from 'crypto';
+
+/**
+ * Tracking Bus Service
+ * Redis pub/sub fan-out between tracking server instances. Each instance
+ * publishes the frames it receives and relays frames published by other
+ * instances to its own WebSocket and long-poll subscribers.
+ *
+ * Enabled with TRACKING_REDIS_PUBSUB=true; a single instance runs without Redis.
+ */
+
+const REDIS_CONNECTION = {
+  host: process.env.REDIS_HOST || '127.0.0.1',
+  port: parseInt(process.env.REDIS_PORT || '6379'),
+  password: process.env.REDIS_PASSWORD || undefined,
+};
+
+const CHANNEL_PREFIX = 'tracking:relay:';
+
+// Identifies this process so it can ignore its own publishes
+export const INSTANCE_ID = randomUUID();
+
+let publisher = null;
+let subscriber = null;
+
+/**
+ * Check if cross-instance fan-out is configured
+ * @returns {boolean}
+ */
+export const isTrackingBusEnabled = () => process.env.TRACKING_REDIS_PUBSUB === 'true';
+
+/**
+ * Connect to Redis and start receiving frames from other instances
+ * @param {Function} onRemoteFrame - (groupId, senderId, Buffer) => void
+ * @param {Function} onRemoteControl - (groupId, senderId, Object) => void
+ */
+export const startTrackingBus = async (onRemoteFrame, onRemoteControl) => {
+  if (!isTrackingBusEnabled() || subscriber) {
+    return;
+  }
+
+  publisher = new Redis(REDIS_CONNECTION);
+  subscriber = new Redis(REDIS_CONNECTION);
+
+  publisher.on('error', (error) => console.error('[BUS] Publisher error:', error.message));
+  subscriber.on('error', (error) => console.error('[BUS] Subscriber error:', error.message));
+
+  subscriber.on('pmessage', (_pattern, channel, raw) => {
+    let envelope;
+    try {
+      envelope = JSON.parse(raw);
+    } catch (_) {
+      return;
+    }
+
+    if (envelope.origin === INSTANCE_ID) return;
+
+    const groupId = channel.slice(CHANNEL_PREFIX.length);
+    if (envelope.control) {
+      onRemoteControl(groupId, envelope.senderId, envelope.control);
+    } else {
+      onRemoteFrame(groupId, envelope.senderId, Buffer.from(envelope.data, 'base64'));
+    }
+  });
+
+  await subscriber.psubscribe(`${CHANNEL_PREFIX}*`);
+  console.log(`[BUS] Tracking fan-out enabled (instance ${INSTANCE_ID})`);
+};
+
+/**
+ * Publish a frame received on this instance to every other instance
+ * @param {string} groupId - Group identifier
+ * @param {string} senderId - Authenticated sender ID
+ * @param {ArrayBuffer|Buffer} message - Binary frame (copied before returning)
+ */
+export const publishFrame = (groupId, senderId, message) => {
+  if (!publisher) return;
+
+  const envelope = JSON.stringify({
+    origin: INSTANCE_ID,
+    senderId,
+    data: Buffer.from(message).toString('base64'),
+  });
+
+  publisher.publish(`${CHANNEL_PREFIX}${groupId}`, envelope).catch((error) => {
+    console.error(`[BUS] Failed to publish to group ${groupId}:`, error.message);
+  });
+};
+
+/**
+ * Publish a JSON control message to every other instance
+ * @param {string} groupId - Group identifier
+ * @param {string} senderId - Authenticated sender ID
+ * @param {Object} control - Message as delivered to peers
+ */
+export const publishControl = (groupId, senderId, control) => {
+  if (!publisher) return;
+
+  const envelope = JSON.stringify({ origin: INSTANCE_ID, senderId, control });
+
+  publisher.publish(`${CHANNEL_PREFIX}${groupId}`, envelope).catch((error) => {
+    console.error(`[BUS] Failed to publish control to group ${groupId}:`, error.message);
+  });
+};
+
+/**
+ * Claim a one-off job (such as an alert) so only one instance acts on it
+ * Every instance sees every frame, so each would otherwise raise the same alert.
+ * @param {string} key - Job identifier
+ * @param {number} ttlSeconds - How long the claim holds
+ * @returns {Promise<boolean>} True if this instance should act
+ */
+export const claimOnce = async (key, ttlSeconds) => {
+  if (!publisher) return true;
+
+  const claimed = await publisher.set(`tracking:claim:${key}`, INSTANCE_ID, 'EX', ttlSeconds, 'NX');
+  return claimed === 'OK';
+};
+
+/**
+ * Close Redis connections
+ */
+export const stopTrackingBus = async () => {
+  await Promise.allSettled([publisher?.quit(), subscriber?.quit()]);
+  publisher = null;
+  subscriber = null;
+};
@@ -0,0 +1,148 @@
+import mongoose from 'mongoose';
+import Group from '../models/group.model.js';
+import Trip from '../models/trip.model.js';
+
+/**
+ * Tracking Membership Service
+ * Resolves a tracking `groupId` (a Group ObjectId or a trip `trackingGroupId`
+ * such as `trip_1a2b3c4d`) to its member list, with a short-lived in-memory
+ * cache so the relay never hits MongoDB on the hot path.
+ */
+
+const MEMBERSHIP_TTL_MS = 30_000;   // cache resolved groups for 30 s
+const NOT_FOUND_TTL_MS = 5_000;     // cache unknown groups briefly to absorb retries
+const SWEEP_INTERVAL_MS = 60_000;
+
+// Map<groupId, { value: TrackingGroup|null, expiresAt: number }>
+const cache = new Map();
+
+// Map<groupId, Promise<TrackingGroup|null>> — collapses concurrent lookups
+const inflight = new Map();
+
+/**
+ * @typedef {Object} TrackingGroup
+ * @property {'group'|'trip'} kind - Source document type
+ * @property {string} id - Source document _id
+ * @property {string} trackingGroupId - The id clients use on the tracking server
+ * @property {Set<string>} members - Member / participant user IDs
+ * @property {Set<string>} admins - Group admins, or the trip creator
+ * @property {Object} [trip] - Trip itinerary and tracking settings (trips only)
+ */
+
+const fromGroup = (group, trackingGroupId) => ({
+  kind: 'group',
+  id: group._id.toString(),
+  trackingGroupId,
+  members: new Set(group.members.map((m) => m.user.toString())),
+  admins: new Set(group.members.filter((m) => m.role === 'admin').map((m) => m.user.toString())),
+});
+
+const fromTrip = (trip, trackingGroupId) => ({
+  kind: 'trip',
+  id: trip._id.toString(),
+  trackingGroupId,
+  members: new Set(trip.participants.map((p) => p.user.toString())),
+  admins: new Set([trip.createdBy.toString()]),
+  trip: {
+    _id: trip._id,
+    title: trip.title,
+    status: trip.status || 'planned',
+    startLocation: trip.startLocation,
+    stops: trip.stops || [],
+    destination: trip.destination,
+    trackingSettings: trip.trackingSettings || {},
+    plannedRoute: trip.plannedRoute?.points || [],
+  },
+});
+
+/**
+ * Load a tracking group from the database
+ * @param {string} groupId
+ * @returns {Promise<TrackingGroup|null>}
+ */
+const loadTrackingGroup = async (groupId) => {
+  if (groupId.startsWith('trip_')) {
+    const trip = await Trip.findOne({ trackingGroupId: groupId, isActive: true })
+      .select('participants.user createdBy title status startLocation stops destination trackingSettings plannedRoute.points')
+      .lean();
+    return trip ? fromTrip(trip, groupId) : null;
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(groupId)) {
+    return null;
+  }
+
+  const group = await Group.findOne({ _id: groupId, isActive: true })
+    .select('members createdBy')
+    .lean();
+  return group ? fromGroup(group, groupId) : null;
+};
+
+/**
+ * Get a tracking group, served from cache when fresh
+ * @param {string} groupId
+ * @returns {Promise<TrackingGroup|null>}
+ */
+export const getTrackingGroup = async (groupId) => {
+  const cached = cache.get(groupId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+
+  if (inflight.has(groupId)) {
+    return inflight.get(groupId);
+  }
+
+  const lookup = loadTrackingGroup(groupId)
+    .then((value) => {
+      cache.set(groupId, {
+        value,
+        expiresAt: Date.now() + (value ? MEMBERSHIP_TTL_MS : NOT_FOUND_TTL_MS),
+      });
+      return value;
+    })
+    .finally(() => {
+      inflight.delete(groupId);
+    });
+
+  inflight.set(groupId, lookup);
+  return lookup;
+};
+
+/**
+ * Check if a tracking group is accepting positions
+ * Chat groups always are; trip groups only while the trip is ongoing.
+ * @param {TrackingGroup} trackingGroup
+ * @returns {boolean}
+ */
+export const isTrackingSessionOpen = (trackingGroup) =>
+  trackingGroup.kind !== 'trip' || trackingGroup.trip.status === 'ongoing';
+
+/**
+ * Check if a user may send to / receive from a tracking group
+ * @param {string} groupId
+ * @param {string} userId
+ * @returns {Promise<boolean>}
+ */
+export const isTrackingMember = async (groupId, userId) => {
+  const group = await getTrackingGroup(groupId);
+  return !!group && group.members.has(userId.toString()) && isTrackingSessionOpen(group);
+};
+
+/**
+ * Drop a cached group so the next lookup reloads it
+ * @param {string} groupId
+ */
+export const invalidateTrackingGroup = (groupId) => {
+  cache.delete(groupId);
+};
+
+// Sweep expired entries so groups nobody asks about again don't linger
+setInterval(() => {
+  const now = Date.now();
+  for (const [groupId, entry] of cache) {
+    if (entry.expiresAt <= now) {
+      cache.delete(groupId);
+    }
+  }
+}, SWEEP_INTERVAL_MS).unref();
@@ -0,0 +1,109 @@
+import Redis from 'ioredis';
+
+/**
+ * Tracking Session Service
+ * A trip's tracking group only accepts riders while the trip is ongoing. The
+ * API announces when a trip's session opens or closes; tracking servers close
+ * sockets and finish the trip's recording when it closes. It also announces
+ * riders removed from a group, whose open sockets are then dropped.
+ */
+
+const REDIS_CONNECTION = {
+  host: process.env.REDIS_HOST || '127.0.0.1',
+  port: parseInt(process.env.REDIS_PORT || '6379'),
+  password: process.env.REDIS_PASSWORD || undefined,
+  lazyConnect: true,
+};
+
+const SESSION_CHANNEL = 'tracking:session';
+const MEMBERSHIP_CHANNEL = 'tracking:membership';
+
+let publisher = null;
+let subscriber = null;
+let membershipSubscriber = null;
+
+const getPublisher = () => {
+  if (!publisher) {
+    publisher = new Redis(REDIS_CONNECTION);
+    publisher.on('error', (error) => console.error('[SESSION] Publisher error:', error.message));
+  }
+  return publisher;
+};
+
+/**
+ * Tell tracking servers that a trip's tracking session opened or closed
+ * @param {Trip} trip
+ * @param {'open'|'closed'} state
+ */
+export const publishSessionChange = (trip, state) => {
+  if (!trip.trackingGroupId) return;
+
+  const payload = JSON.stringify({
+    tripId: trip._id.toString(),
+    trackingGroupId: trip.trackingGroupId,
+    status: trip.status,
+    state,
+  });
+
+  getPublisher().publish(SESSION_CHANNEL, payload).catch((error) => {
+    console.error('[SESSION] Failed to publish session change:', error.message);
+  });
+};
+
+/**
+ * Receive session changes published by the API (tracking server only)
+ * @param {Function} onChange - ({ tripId, trackingGroupId, status, state }) => void
+ */
+export const startSessionSync = async (onChange) => {
+  if (subscriber) return;
+
+  subscriber = new Redis(REDIS_CONNECTION);
+  subscriber.on('error', (error) => console.error('[SESSION] Subscriber error:', error.message));
+  subscriber.on('message', (_channel, raw) => {
+    try {
+      onChange(JSON.parse(raw));
+    } catch (error) {
+      console.error('[SESSION] Dropped malformed session change:', error.message);
+    }
+  });
+
+  await subscriber.subscribe(SESSION_CHANNEL);
+};
+
+/**
+ * Tell tracking servers that users are no longer members of a tracking group
+ * @param {string} trackingGroupId - Group _id or trip trackingGroupId
+ * @param {Array<ObjectId>} userIds
+ */
+export const publishMembershipRevoked = (trackingGroupId, userIds) => {
+  if (!trackingGroupId || userIds.length === 0) return;
+
+  const payload = JSON.stringify({
+    trackingGroupId: trackingGroupId.toString(),
+    userIds: userIds.map((id) => id.toString()),
+  });
+
+  getPublisher().publish(MEMBERSHIP_CHANNEL, payload).catch((error) => {
+    console.error('[SESSION] Failed to publish membership change:', error.message);
+  });
+};
+
+/**
+ * Receive membership removals published by the API (tracking server only)
+ * @param {Function} onRevoked - ({ trackingGroupId, userIds }) => void
+ */
+export const startMembershipSync = async (onRevoked) => {
+  if (membershipSubscriber) return;
+
+  membershipSubscriber = new Redis(REDIS_CONNECTION);
+  membershipSubscriber.on('error', (error) => console.error('[SESSION] Membership subscriber error:', error.message));
+  membershipSubscriber.on('message', (_channel, raw) => {
+    try {
+      onRevoked(JSON.parse(raw));
+    } catch (error) {
+      console.error('[SESSION] Dropped malformed membership change:', error.message);
+    }
+  });
+
+  await membershipSubscriber.subscribe(MEMBERSHIP_CHANNEL);
+};
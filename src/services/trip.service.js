@@ -1,5 +1,35 @@
+import { Types } from 'mongoose';
 import Trip from '../models/trip.model.js';
 import User from '../models/user.model.js';
+import TrackPoint from '../models/trackPoint.model.js';
+import { EXPORT_FORMATS, renderTrackExport } from '../utils/trackExport.js';
+import { simplifyPath } from '../utils/geo.js';
+import { parseGpxRoute, decodePolyline, normalizeRoutePoints } from '../utils/routeImport.js';
+import { summarizeRide, combineRideStats } from '../utils/rideStats.js';
+import { getLatestEta } from './eta.service.js';
+import { getTripCheckpoints } from './geofence.service.js';
+import { publishSessionChange, publishMembershipRevoked } from './trackingSession.service.js';
+import * as notificationService from './notification.service.js';
+import { promoteFromWaitlist, claimSeat } from './tripWaitlist.service.js';
+import {
+  provisionTripChat,
+  syncTripChatMembers,
+  announceItineraryChange,
+  archiveTripChat,
+} from './tripChat.service.js';
+
+const REPLAY_DEFAULT_FRAMES = 600;   // frames per replay when no resolution is given
+const REPLAY_MAX_FRAMES = 2_000;     // finer resolutions are coarsened to stay under this
+const REPLAY_TOLERANCE_M = 15;       // Douglas-Peucker tolerance for rider keyframes
+const STATS_GRACE_MS = 15 * 60 * 1000; // let the last breadcrumbs land before computing stats
+const ROUTE_MAX_POINTS = 5_000;      // longer planned routes are simplified down to this
+
+// Notification sent to participants when a trip enters each status
+const LIFECYCLE_NOTIFICATIONS = {
+  ongoing: { type: 'trip.started', title: 'Trip started', verb: 'has started' },
+  completed: { type: 'trip.completed', title: 'Trip completed', verb: 'has ended' },
+  cancelled: { type: 'trip.cancelled', title: 'Trip cancelled', verb: 'was cancelled' },
+};
 
 /**
  * Create a new trip
@@ -8,7 +38,19 @@ import User from '../models/user.model.js';
  * @returns {Promise<Trip>}
  */
 export const createTrip = async (tripData, creatorId) => {
-  const { title, description, startLocation, destination, stops, startDate, endDate, participantIds } = tripData;
+  const {
+    title,
+    description,
+    startLocation,
+    destination,
+    stops,
+    startDate,
+    endDate,
+    participantIds,
+    visibility,
+    maxParticipants,
+    waitlistOfferMinutes,
+  } = tripData;
 
   // Verify creator exists
   const creator = await User.findById(creatorId);
@@ -24,6 +66,10 @@ export const createTrip = async (tripData, creatorId) => {
     }
   }
 
+  if (maxParticipants && 1 + (participantIds || []).length > maxParticipants) {
+    throw new Error('More participants than maxParticipants allows');
+  }
+
   // Validate dates
   const start = new Date(startDate);
   const end = new Date(endDate);
@@ -52,10 +98,14 @@ export const createTrip = async (tripData, creatorId) => {
     ],
     startDate: start,
     endDate: end,
+    visibility,
+    maxParticipants,
+    waitlistOfferMinutes,
   });
 
   tripDoc.trackingGroupId = `trip_${tripDoc._id.toString().slice(-8)}`;
   await tripDoc.save();
+  await provisionTripChat(tripDoc);
 
   const populatedTrip = await Trip.findById(tripDoc._id)
     .populate('participants.user', 'fName lName email')
@@ -73,7 +123,8 @@ export const createTrip = async (tripData, creatorId) => {
 export const getTripById = async (tripId, userId) => {
   const trip = await Trip.findOne({ _id: tripId, isActive: true })
     .populate('participants.user', 'fName lName email')
-    .populate('createdBy', 'fName lName email');
+    .populate('createdBy', 'fName lName email')
+    .populate('stats.participants.user', 'fName lName');
 
   if (!trip) {
     throw new Error('Trip not found');
@@ -103,6 +154,7 @@ export const getUserTrips = async (userId, page = 1, limit = 20) => {
     .sort({ startDate: -1 })
     .skip(skip)
     .limit(limit)
+    .select('-plannedRoute.points')
     .populate('participants.user', 'fName lName email')
     .populate('createdBy', 'fName lName email');
 
@@ -122,6 +174,61 @@ export const getUserTrips = async (userId, page = 1, limit = 20) => {
   };
 };
 
+/**
+ * Give edited stops the ids of the stops they replace
+ * Clients may send stops back without their _id, so a stop at the same place
+ * with the same name keeps its id (and the arrivals recorded there). Ids that
+ * aren't one of the trip's stops are dropped and a new one is assigned.
+ * @param {Array<Object>} previousStops - The trip's current stops
+ * @param {Array<Object>} stops - Stops from the update
+ * @returns {Array<Object>}
+ */
+const keepStopIds = (previousStops, stops) => {
+  const samePlace = (a, b) =>
+    a.name === b.name && a.coordinates?.lat === b.coordinates?.lat && a.coordinates?.lng === b.coordinates?.lng;
+
+  const unused = new Map(previousStops.filter((stop) => stop._id).map((stop) => [stop._id.toString(), stop]));
+
+  // Ids sent back by the client win over matching by place
+  const echoedIds = stops.map((stop) => {
+    const id = stop?._id != null ? String(stop._id) : null;
+    return id && unused.delete(id) ? id : null;
+  });
+
+  return stops.map((stop, index) => {
+    if (!stop || typeof stop !== 'object') return stop;
+
+    const { _id, ...fields } = stop;
+    if (echoedIds[index]) return { ...fields, _id: echoedIds[index] };
+
+    const match = Array.from(unused.values()).find((previous) => samePlace(previous, fields));
+    if (!match) return fields;
+
+    unused.delete(match._id.toString());
+    return { ...fields, _id: match._id };
+  });
+};
+
+/**
+ * Drop recorded arrivals at planned points that were removed or moved
+ * A single $pull, so arrivals the tracking server records meanwhile at other
+ * points are kept.
+ * @param {Trip} trip - The saved trip
+ * @param {Array<Object>} previousCheckpoints - getTripCheckpoints() before the edit
+ * @returns {Promise<void>}
+ */
+const forgetMovedCheckpoints = async (trip, previousCheckpoints) => {
+  const current = new Map(getTripCheckpoints(trip).map((point) => [point.key, point]));
+  const staleKeys = previousCheckpoints
+    .filter(({ key, lat, lng }) => current.get(key)?.lat !== lat || current.get(key)?.lng !== lng)
+    .map(({ key }) => key);
+
+  if (staleKeys.length === 0) return;
+
+  await Trip.updateOne({ _id: trip._id }, { $pull: { checkpointArrivals: { point: { $in: staleKeys } } } });
+  trip.checkpointArrivals = trip.checkpointArrivals.filter((arrival) => !staleKeys.includes(arrival.point));
+};
+
 /**
  * Update trip information
  * @param {ObjectId} tripId
@@ -141,10 +248,33 @@ export const updateTrip = async (tripId, userId, updates) => {
   }
 
   // Update allowed fields
-  const allowedUpdates = ['title', 'description', 'startLocation', 'destination', 'stops', 'startDate', 'endDate'];
+  const allowedUpdates = [
+    'title',
+    'description',
+    'startLocation',
+    'destination',
+    'stops',
+    'startDate',
+    'endDate',
+    'trackingSettings',
+    'visibility',
+    'maxParticipants',
+    'waitlistOfferMinutes',
+  ];
+  const previousCapacity = trip.maxParticipants;
+  const previousCheckpoints = getTripCheckpoints(trip);
   Object.keys(updates).forEach((key) => {
     if (allowedUpdates.includes(key)) {
-      trip[key] = updates[key];
+      if (key === 'trackingSettings') {
+        // Merge so a partial update doesn't reset the other thresholds
+        Object.entries(updates.trackingSettings || {}).forEach(([setting, value]) => {
+          trip.set(`trackingSettings.${setting}`, value);
+        });
+      } else if (key === 'stops') {
+        trip.stops = keepStopIds(trip.stops, updates.stops || []);
+      } else {
+        trip[key] = updates[key];
+      }
     }
   });
 
@@ -158,12 +288,95 @@ export const updateTrip = async (tripId, userId, updates) => {
     }
   }
 
+  if (trip.maxParticipants && trip.maxParticipants < trip.getParticipantCount()) {
+    throw new Error('maxParticipants cannot be below the current number of participants');
+  }
+
+  const changedFields = allowedUpdates.filter((key) => trip.isModified(key));
   await trip.save();
 
+  await forgetMovedCheckpoints(trip, previousCheckpoints);
+
+  // A raised (or removed) limit frees seats for the waitlist
+  if (trip.maxParticipants !== previousCapacity) {
+    await promoteFromWaitlist(trip._id);
+  }
+
+  await announceItineraryChange(trip, userId, changedFields);
+
   await trip.populate([{ path: 'participants.user', select: 'fName lName email' }, { path: 'createdBy', select: 'fName lName email' }]);
   return trip;
 };
 
+/**
+ * Set a trip's planned route from a GPX document, an encoded polyline or a list of points
+ * Routes longer than ROUTE_MAX_POINTS are simplified with a growing tolerance.
+ * @param {ObjectId} tripId
+ * @param {ObjectId} userId
+ * @param {Object} route - Exactly one of { gpx, polyline, points }
+ * @returns {Promise<Trip>}
+ */
+export const setTripRoute = async (tripId, userId, { gpx, polyline, points }) => {
+  const trip = await Trip.findOne({ _id: tripId, isActive: true });
+
+  if (!trip) {
+    throw new Error('Trip not found');
+  }
+
+  if (!trip.isCreator(userId)) {
+    throw new Error('Only the creator can set the planned route');
+  }
+
+  let source;
+  let routePoints;
+  if (gpx) {
+    source = 'gpx';
+    routePoints = parseGpxRoute(gpx);
+  } else if (polyline) {
+    source = 'polyline';
+    routePoints = decodePolyline(polyline);
+  } else {
+    source = 'points';
+    routePoints = normalizeRoutePoints(points || []);
+  }
+
+  if (routePoints.length < 2) {
+    throw new Error('Planned route needs at least 2 valid points');
+  }
+
+  for (let tolerance = 5; routePoints.length > ROUTE_MAX_POINTS; tolerance *= 2) {
+    routePoints = simplifyPath(routePoints, tolerance);
+  }
+
+  trip.plannedRoute = { points: routePoints, source, updatedAt: new Date() };
+  await trip.save();
+
+  return trip;
+};
+
+/**
+ * Remove a trip's planned route (turns off route deviation alerts)
+ * @param {ObjectId} tripId
+ * @param {ObjectId} userId
+ * @returns {Promise<Trip>}
+ */
+export const clearTripRoute = async (tripId, userId) => {
+  const trip = await Trip.findOne({ _id: tripId, isActive: true });
+
+  if (!trip) {
+    throw new Error('Trip not found');
+  }
+
+  if (!trip.isCreator(userId)) {
+    throw new Error('Only the creator can remove the planned route');
+  }
+
+  trip.plannedRoute = undefined;
+  await trip.save();
+
+  return trip;
+};
+
 /**
  * Add participants to trip
  * @param {ObjectId} tripId
@@ -182,26 +395,49 @@ export const addParticipants = async (tripId, userId, participantIds) => {
     throw new Error('Only the creator can add participants');
   }
 
+  const uniqueIds = [...new Set(participantIds.map((id) => id.toString()))];
+  const newParticipantIds = uniqueIds.filter((id) => !trip.isParticipant(id));
+  // Seats already offered to these riders from the waitlist are theirs to take
+  const now = new Date();
+  const heldByNew = trip.waitlist.filter(
+    (entry) => newParticipantIds.includes(entry.user.toString()) && entry.offerExpiresAt > now
+  ).length;
+  if (newParticipantIds.length > trip.getAvailableSeats(now) + heldByNew) {
+    throw new Error('Not enough seats left on this trip');
+  }
+
   // Verify all participants exist
-  const participants = await User.find({ _id: { $in: participantIds } });
-  if (participants.length !== participantIds.length) {
+  const participants = await User.find({ _id: { $in: uniqueIds } });
+  if (participants.length !== uniqueIds.length) {
     throw new Error('One or more users not found');
   }
 
-  // Add participants
-  for (const participantId of participantIds) {
-    try {
-      await trip.addParticipant(participantId);
-    } catch (error) {
-      // Skip if already a participant
-      if (error.message !== 'User is already a participant') {
-        throw error;
+  // Seat each rider with the same conditional update joins use, so this can't
+  // overfill the trip; give back the seats already taken if one doesn't fit
+  const seated = [];
+  for (const participantId of newParticipantIds) {
+    if (!(await claimSeat(trip, participantId))) {
+      // Joined some other way in the meantime
+      if (await Trip.exists({ _id: trip._id, 'participants.user': participantId })) continue;
+
+      if (seated.length > 0) {
+        await Trip.updateOne({ _id: trip._id }, { $pull: { participants: { user: { $in: seated } } } });
       }
+      throw new Error('Not enough seats left on this trip');
     }
+    seated.push(participantId);
   }
 
-  await trip.populate([{ path: 'participants.user', select: 'fName lName email' }, { path: 'createdBy', select: 'fName lName email' }]);
-  return trip;
+  // Riders added directly no longer need their place on the waitlist
+  if (seated.length > 0) {
+    await Trip.updateOne({ _id: trip._id }, { $pull: { waitlist: { user: { $in: seated } } } });
+  }
+
+  await syncTripChatMembers(trip._id);
+
+  const updated = await Trip.findById(trip._id);
+  await updated.populate([{ path: 'participants.user', select: 'fName lName email' }, { path: 'createdBy', select: 'fName lName email' }]);
+  return updated;
 };
 
 /**
@@ -231,6 +467,14 @@ export const removeParticipant = async (tripId, userId, targetUserId) => {
 
   await trip.removeParticipant(targetUserId);
 
+  // Drop the rider's open tracking sockets on every instance
+  publishMembershipRevoked(trip.trackingGroupId, [targetUserId]);
+
+  await syncTripChatMembers(trip._id);
+
+  // Offer the freed seat to the first rider on the waitlist
+  await promoteFromWaitlist(trip._id);
+
   await trip.populate([{ path: 'participants.user', select: 'fName lName email' }, { path: 'createdBy', select: 'fName lName email' }]);
   return trip;
 };
@@ -252,22 +496,558 @@ export const deleteTrip = async (tripId, userId) => {
     throw new Error('Only the creator can delete the trip');
   }
 
+  // A ride in progress ends with the deletion, so it is still recorded
+  const wasOngoing = trip.status === 'ongoing';
   trip.isActive = false;
+  if (wasOngoing) {
+    trip.status = 'completed';
+    trip.endedAt = new Date();
+  }
   await trip.save();
+  await archiveTripChat(trip);
+
+  // Disconnect the riders, flush their breadcrumbs and compute the ride's stats
+  if (wasOngoing) {
+    publishSessionChange(trip, 'closed');
+  }
 
   return trip;
 };
 
+/**
+ * Move a trip to a new status, open or close its tracking session and notify participants
+ * @param {Trip} trip
+ * @param {'ongoing'|'completed'|'cancelled'} status
+ * @returns {Promise<Trip|null>} Updated trip, or null if its status changed in the meantime
+ */
+const transitionTrip = async (trip, status) => {
+  if (!trip.canTransitionTo(status)) {
+    throw new Error(`Cannot move a ${trip.status} trip to ${status}`);
+  }
+
+  const now = new Date();
+  const updates = status === 'ongoing' ? { status, startedAt: now } : { status, endedAt: now };
+
+  // Only apply if nobody (the cron, another request) moved the trip first.
+  // Trips created before statuses existed have no status field yet.
+  const currentStatus = trip.status === 'planned' ? { $in: ['planned', null] } : trip.status;
+  const updated = await Trip.findOneAndUpdate(
+    { _id: trip._id, status: currentStatus },
+    { $set: updates },
+    { new: true }
+  );
+
+  if (!updated) {
+    return null;
+  }
+
+  publishSessionChange(updated, status === 'ongoing' ? 'open' : 'closed');
+
+  const notification = LIFECYCLE_NOTIFICATIONS[status];
+  await notificationService.createNotifications(
+    updated.participants.map((p) => p.user),
+    notification.type,
+    notification.title,
+    `${updated.title} ${notification.verb}`,
+    { tripId: updated._id, tripTitle: updated.title, status }
+  );
+
+  return updated;
+};
+
+/**
+ * Change a trip's status on behalf of its creator
+ * @param {ObjectId} tripId
+ * @param {ObjectId} userId
+ * @param {'ongoing'|'completed'|'cancelled'} status
+ * @returns {Promise<Trip>}
+ */
+const changeTripStatus = async (tripId, userId, status) => {
+  const trip = await Trip.findOne({ _id: tripId, isActive: true });
+
+  if (!trip) {
+    throw new Error('Trip not found');
+  }
+
+  if (!trip.isCreator(userId)) {
+    throw new Error('Only the creator can change the trip status');
+  }
+
+  const updated = await transitionTrip(trip, status);
+  if (!updated) {
+    throw new Error('Trip status changed, please retry');
+  }
+
+  return updated;
+};
+
+/**
+ * Start a trip now, opening its tracking session
+ * @param {ObjectId} tripId
+ * @param {ObjectId} userId
+ * @returns {Promise<Trip>}
+ */
+export const startTrip = (tripId, userId) => changeTripStatus(tripId, userId, 'ongoing');
+
+/**
+ * End an ongoing trip, closing its tracking session and finalizing its stats
+ * @param {ObjectId} tripId
+ * @param {ObjectId} userId
+ * @returns {Promise<Trip>}
+ */
+export const endTrip = (tripId, userId) => changeTripStatus(tripId, userId, 'completed');
+
+/**
+ * Cancel a planned or ongoing trip
+ * @param {ObjectId} tripId
+ * @param {ObjectId} userId
+ * @returns {Promise<Trip>}
+ */
+export const cancelTrip = (tripId, userId) => changeTripStatus(tripId, userId, 'cancelled');
+
+/**
+ * Start trips whose start date has arrived and complete those whose end date has passed
+ * Trips whose whole window passed without being started (including trips from
+ * before statuses existed) are marked completed quietly, without notifications.
+ * @param {number} [limit] - Trips per transition per run
+ * @returns {Promise<Object>} { started, completed, closedQuietly }
+ */
+export const advanceTripLifecycles = async (limit = 50) => {
+  const counts = { started: 0, completed: 0, closedQuietly: 0 };
+
+  const advance = async (filter, status, counter) => {
+    const trips = await Trip.find({ isActive: true, ...filter }).sort({ startDate: 1 }).limit(limit);
+    for (const trip of trips) {
+      try {
+        if (await transitionTrip(trip, status)) counts[counter]++;
+      } catch (error) {
+        console.error(`[TRIP] Failed to move trip ${trip._id} to ${status}:`, error.message);
+      }
+    }
+  };
+
+  const now = new Date();
+  const missed = await Trip.updateMany(
+    { isActive: true, status: { $in: ['planned', null] }, endDate: { $lte: now } },
+    [{ $set: { status: 'completed', endedAt: '$endDate' } }],
+    { updatePipeline: true }
+  );
+  counts.closedQuietly = missed.modifiedCount;
+
+  await advance({ status: { $in: ['planned', null] }, startDate: { $lte: now } }, 'ongoing', 'started');
+  await advance({ status: 'ongoing', endDate: { $lte: now } }, 'completed', 'completed');
+
+  return counts;
+};
+
+/**
+ * Load recorded paths for a trip, grouped per rider
+ * @param {Trip} trip
+ * @param {ObjectId} [onlyUserId] - Restrict to a single rider
+ * @returns {Promise<Array<Object>>} [{ user, pointCount, points }]
+ */
+const getParticipantPaths = async (trip, onlyUserId = null) => {
+  if (!trip.trackingGroupId) {
+    return [];
+  }
+
+  const match = { 'meta.trackingGroupId': trip.trackingGroupId };
+  if (onlyUserId) {
+    match['meta.user'] = new Types.ObjectId(onlyUserId.toString());
+  }
+
+  const paths = await TrackPoint.aggregate([
+    { $match: match },
+    { $sort: { ts: 1 } },
+    {
+      $group: {
+        _id: '$meta.user',
+        points: {
+          $push: {
+            lat: '$lat',
+            lng: '$lng',
+            speed: '$speed',
+            bearing: '$bearing',
+            altitude: '$altitude',
+            status: '$status',
+            ts: '$ts',
+          },
+        },
+      },
+    },
+  ]).allowDiskUse(true);
+
+  const users = await User.find({ _id: { $in: paths.map((p) => p._id) } }).select('fName lName email');
+  const usersById = new Map(users.map((u) => [u._id.toString(), u]));
+
+  return paths.map((path) => ({
+    user: usersById.get(path._id.toString()) || { _id: path._id },
+    pointCount: path.points.length,
+    points: path.points,
+  }));
+};
+
+/**
+ * Get recorded location paths for every participant of a trip
+ * @param {ObjectId} tripId
+ * @param {ObjectId} userId
+ * @returns {Promise<Object>}
+ */
+export const getTripTrack = async (tripId, userId) => {
+  const trip = await Trip.findOne({ _id: tripId, isActive: true });
+
+  if (!trip) {
+    throw new Error('Trip not found');
+  }
+
+  if (!trip.isParticipant(userId)) {
+    throw new Error('You are not a participant of this trip');
+  }
+
+  return {
+    tripId: trip._id,
+    trackingGroupId: trip.trackingGroupId || null,
+    participants: await getParticipantPaths(trip),
+  };
+};
+
+/**
+ * Export a trip's planned waypoints and recorded tracks
+ * @param {ObjectId} tripId
+ * @param {ObjectId} userId
+ * @param {Object} options
+ * @param {string} options.format - 'gpx' | 'kml' | 'geojson'
+ * @param {string} [options.scope] - 'group' (every rider) or 'mine' (requesting rider only)
+ * @returns {Promise<Object>} { filename, contentType, body }
+ */
+export const exportTripTrack = async (tripId, userId, { format, scope = 'group' }) => {
+  const exportFormat = EXPORT_FORMATS[format];
+  if (!exportFormat) {
+    throw new Error('Unsupported export format');
+  }
+
+  const trip = await Trip.findOne({ _id: tripId, isActive: true });
+
+  if (!trip) {
+    throw new Error('Trip not found');
+  }
+
+  if (!trip.isParticipant(userId)) {
+    throw new Error('You are not a participant of this trip');
+  }
+
+  // Planned itinerary as waypoints (city-only locations have no coordinates)
+  const itinerary = [
+    { location: trip.startLocation, role: 'start' },
+    ...trip.stops.map((location) => ({ location, role: 'stop' })),
+    { location: trip.destination, role: 'destination' },
+  ];
+  const waypoints = itinerary
+    .filter(({ location }) => location?.coordinates?.lat != null && location?.coordinates?.lng != null)
+    .map(({ location, role }) => ({
+      name: location.name,
+      role,
+      lat: location.coordinates.lat,
+      lng: location.coordinates.lng,
+    }));
+
+  const paths = await getParticipantPaths(trip, scope === 'mine' ? userId : null);
+  const tracks = paths.map((path) => ({
+    userId: path.user._id.toString(),
+    name: path.user.fName ? `${path.user.fName} ${path.user.lName || ''}`.trim() : path.user._id.toString(),
+    points: path.points,
+  }));
+
+  const slug = trip.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'trip';
+
+  return {
+    filename: `${slug}.${exportFormat.extension}`,
+    contentType: exportFormat.contentType,
+    body: renderTrackExport(format, { title: trip.title, waypoints, tracks }),
+  };
+};
+
+/**
+ * Split a rider's samples into runs of the same status
+ * Run boundaries survive simplification, so status changes (SOS, fuel stops)
+ * always appear in a replay.
+ * @param {Array<Object>} samples - Samples sorted by time
+ * @returns {Array<Array<Object>>}
+ */
+const splitByStatus = (samples) => {
+  const runs = [];
+  for (const sample of samples) {
+    const run = runs[runs.length - 1];
+    if (run && run[run.length - 1].status === sample.status) {
+      run.push(sample);
+    } else {
+      // Start the new run from the previous sample so the runs join up
+      runs.push(run ? [run[run.length - 1], sample] : [sample]);
+    }
+  }
+  return runs;
+};
+
+/**
+ * Get the latest rolling ETAs for a trip's riders
+ * @param {ObjectId} tripId
+ * @param {ObjectId} userId
+ * @returns {Promise<Object>} { tripId, computedAt, riders } (riders is empty when nobody is riding)
+ */
+export const getTripEta = async (tripId, userId) => {
+  const trip = await Trip.findOne({ _id: tripId, isActive: true });
+
+  if (!trip) {
+    throw new Error('Trip not found');
+  }
+
+  if (!trip.isParticipant(userId)) {
+    throw new Error('You are not a participant of this trip');
+  }
+
+  const eta = trip.trackingGroupId ? await getLatestEta(trip.trackingGroupId) : null;
+
+  return {
+    tripId: trip._id,
+    computedAt: eta ? eta.computedAt : null,
+    riders: eta ? eta.riders : [],
+  };
+};
+
+/**
+ * Compute and store ride statistics for a trip from its recorded breadcrumbs
+ * Safe to call again (for example when late points arrive); stats are replaced.
+ * @param {Trip} trip
+ * @returns {Promise<Object>} The stored stats { computedAt, group, participants }
+ */
+export const computeTripStats = async (trip) => {
+  const paths = await getParticipantPaths(trip);
+
+  const participants = paths.map((path) => ({
+    user: path.user._id,
+    ...summarizeRide(path.points),
+  }));
+
+  const stats = {
+    computedAt: new Date(),
+    group: combineRideStats(participants),
+    participants,
+  };
+
+  await Trip.updateOne({ _id: trip._id }, { $set: { stats } });
+
+  return stats;
+};
+
+/**
+ * Compute stats for completed trips the tracking server didn't finalize
+ * (15 minutes after they ended, so the last breadcrumbs have landed)
+ * @param {number} [limit] - Trips per run
+ * @returns {Promise<number>} Number of trips processed
+ */
+export const computeEndedTripStats = async (limit = 20) => {
+  const trips = await Trip.find({
+    isActive: true,
+    status: 'completed',
+    endedAt: { $lte: new Date(Date.now() - STATS_GRACE_MS) },
+    'stats.computedAt': null,
+  })
+    .sort({ endedAt: 1 })
+    .limit(limit);
+
+  for (const trip of trips) {
+    try {
+      await computeTripStats(trip);
+    } catch (error) {
+      console.error(`[TRIP] Failed to compute stats for trip ${trip._id}:`, error.message);
+    }
+  }
+
+  return trips.length;
+};
+
+/**
+ * Get a downsampled replay of every participant's recorded positions
+ * Positions are bucketed into frames of `resolution` seconds (the last sample
+ * per rider per bucket), then each rider's keyframes are thinned with
+ * Douglas-Peucker. Clients carry a rider forward, interpolating between that
+ * rider's keyframes.
+ * @param {ObjectId} tripId
+ * @param {ObjectId} userId
+ * @param {Object} [options]
+ * @param {Date} [options.from] - Window start (defaults to the first recorded point)
+ * @param {Date} [options.to] - Window end (defaults to the last recorded point)
+ * @param {number} [options.resolution] - Seconds per frame (defaults to ~600 frames per window)
+ * @returns {Promise<Object>} { tripId, from, to, resolution, riders, frames }
+ */
+export const getTripReplay = async (tripId, userId, { from, to, resolution } = {}) => {
+  const trip = await Trip.findOne({ _id: tripId, isActive: true });
+
+  if (!trip) {
+    throw new Error('Trip not found');
+  }
+
+  if (!trip.isParticipant(userId)) {
+    throw new Error('You are not a participant of this trip');
+  }
+
+  const empty = { tripId: trip._id, from: from || null, to: to || null, resolution: null, riders: [], frames: [] };
+  if (!trip.trackingGroupId) {
+    return empty;
+  }
+
+  const match = { 'meta.trackingGroupId': trip.trackingGroupId };
+
+  // Default to the whole recorded ride
+  let start = from;
+  let end = to;
+  if (!start || !end) {
+    const [bounds] = await TrackPoint.aggregate([
+      { $match: match },
+      { $group: { _id: null, first: { $min: '$ts' }, last: { $max: '$ts' } } },
+    ]);
+    if (!bounds) {
+      return empty;
+    }
+    start = start || bounds.first;
+    end = end || bounds.last;
+  }
+
+  const spanSeconds = Math.max(1, (end - start) / 1000);
+  const bucketSeconds = Math.max(
+    resolution || Math.ceil(spanSeconds / REPLAY_DEFAULT_FRAMES),
+    Math.ceil(spanSeconds / REPLAY_MAX_FRAMES)
+  );
+  const bucketMs = bucketSeconds * 1000;
+
+  const samples = await TrackPoint.aggregate([
+    { $match: { ...match, ts: { $gte: start, $lte: end } } },
+    { $sort: { ts: 1 } },
+    {
+      $group: {
+        _id: {
+          user: '$meta.user',
+          bucket: { $floor: { $divide: [{ $subtract: ['$ts', start] }, bucketMs] } },
+        },
+        lat: { $last: '$lat' },
+        lng: { $last: '$lng' },
+        speed: { $last: '$speed' },
+        bearing: { $last: '$bearing' },
+        status: { $last: '$status' },
+      },
+    },
+    { $sort: { '_id.bucket': 1 } },
+  ]).allowDiskUse(true);
+
+  const samplesByUser = new Map();
+  for (const sample of samples) {
+    const riderId = sample._id.user.toString();
+    if (!samplesByUser.has(riderId)) {
+      samplesByUser.set(riderId, []);
+    }
+    samplesByUser.get(riderId).push({
+      bucket: sample._id.bucket,
+      userId: riderId,
+      lat: sample.lat,
+      lng: sample.lng,
+      speed: sample.speed,
+      bearing: sample.bearing,
+      status: sample.status,
+    });
+  }
+
+  // Thin each rider's keyframes, then regroup them into frames by bucket
+  const frames = new Map();
+  for (const riderSamples of samplesByUser.values()) {
+    const keyframes = new Set(splitByStatus(riderSamples).flatMap((run) => simplifyPath(run, REPLAY_TOLERANCE_M)));
+    for (const { bucket, ...position } of keyframes) {
+      if (!frames.has(bucket)) {
+        frames.set(bucket, []);
+      }
+      frames.get(bucket).push(position);
+    }
+  }
+
+  const users = await User.find({ _id: { $in: [...samplesByUser.keys()] } }).select('fName lName');
+  const riders = users.map((u) => ({
+    userId: u._id.toString(),
+    name: `${u.fName || ''} ${u.lName || ''}`.trim() || u._id.toString(),
+  }));
+
+  return {
+    tripId: trip._id,
+    from: new Date(start),
+    to: new Date(end),
+    resolution: bucketSeconds,
+    riders,
+    frames: [...frames.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([bucket, positions]) => ({ ts: new Date(start.getTime() + bucket * bucketMs), positions })),
+  };
+};
+
+/**
+ * Rank trips matching a query by the distance of their start from a point
+ * @param {Object} query - Filters from searchTrips
+ * @param {{lat: number, lng: number}} near
+ * @param {number} radiusKm
+ * @param {number} page
+ * @param {number} limit
+ * @returns {Promise<Object>}
+ */
+const searchTripsNear = async (query, near, radiusKm, page, limit) => {
+  const [result] = await Trip.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: [near.lng, near.lat] },
+        key: 'startLocation.geo',
+        distanceField: 'distanceMeters',
+        maxDistance: radiusKm * 1000,
+        query,
+        spherical: true,
+      },
+    },
+    {
+      $facet: {
+        trips: [{ $skip: (page - 1) * limit }, { $limit: limit }, { $project: { 'plannedRoute.points': 0 } }],
+        total: [{ $count: 'count' }],
+      },
+    },
+  ]);
+
+  const trips = await Trip.populate(result.trips, [
+    { path: 'participants.user', select: 'fName lName email' },
+    { path: 'createdBy', select: 'fName lName email' },
+  ]);
+  const total = result.total[0]?.count || 0;
+
+  return {
+    trips: trips.map(({ distanceMeters, ...trip }) => ({
+      ...trip,
+      distanceKm: Math.round(distanceMeters / 10) / 100,
+    })),
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+};
+
 /**
  * Search trips with filters
- * @param {Object} filters - Filter criteria (from, to, startDate, endDate)
+ * With `near`, trips starting within `radiusKm` are ranked by distance and each
+ * result carries `distanceKm`; otherwise trips are sorted by start date.
+ * @param {Object} filters - Filter criteria (from, to, startDate, endDate, near: { lat, lng }, radiusKm)
  * @param {number} page
  * @param {number} limit
  * @returns {Promise<Object>}
  */
 export const searchTrips = async (filters, page = 1, limit = 20) => {
   const skip = (page - 1) * limit;
-  const query = { isActive: true };
+  // Private trips are invite only and never listed
+  const query = { isActive: true, visibility: { $ne: 'private' } };
 
   // Always enforce upcoming trips by default
   query.startDate = { $gte: new Date() };
@@ -311,10 +1091,15 @@ export const searchTrips = async (filters, page = 1, limit = 20) => {
     query.startDate = dateQuery;
   }
 
+  if (filters.near) {
+    return searchTripsNear(query, filters.near, filters.radiusKm, page, limit);
+  }
+
   const trips = await Trip.find(query)
     .sort({ startDate: 1 })
     .skip(skip)
     .limit(limit)
+    .select('-plannedRoute.points')
     .populate('participants.user', 'fName lName email')
     .populate('createdBy', 'fName lName email');
 
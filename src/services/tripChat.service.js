@@ -0,0 +1,202 @@
+import Group from '../models/group.model.js';
+import Message from '../models/message.model.js';
+import Trip from '../models/trip.model.js';
+import User from '../models/user.model.js';
+import * as senderKeyService from './senderKey.service.js';
+import sseManager from './sse.service.js';
+import { publishMembershipRevoked } from './trackingSession.service.js';
+
+/**
+ * Trip Chat Service
+ * Every trip gets a group chat whose members mirror the trip's participants.
+ * Membership is only changed from here, by diffing the chat against the trip,
+ * so it can't drift; joins, leaves and itinerary changes are posted to the
+ * chat as system messages.
+ */
+
+const ITINERARY_FIELDS = {
+  startLocation: 'the start',
+  destination: 'the destination',
+  stops: 'the stops',
+  startDate: 'the start date',
+  endDate: 'the end date',
+};
+
+/**
+ * Post a system message to a trip chat and push it to the members' open chats
+ * @param {Group} group
+ * @param {ObjectId} senderId - User the message is about or who made the change
+ * @param {string} content
+ * @param {Object} [metadata]
+ * @returns {Promise<Message>}
+ */
+const postSystemMessage = async (group, senderId, content, metadata = {}) => {
+  const message = await Message.create({
+    group: group._id,
+    sender: senderId,
+    content,
+    type: 'system',
+    metadata,
+  });
+
+  await Group.updateOne({ _id: group._id }, { $set: { lastActivity: new Date() } });
+  sseManager.sendToUsers(group.members.map((m) => m.user), 'message.new', message.toJSON());
+
+  return message;
+};
+
+/**
+ * Create the chat for a trip and link it from the trip
+ * The link is a compare-and-set on the trip's `chatGroup`, so two requests
+ * provisioning a legacy trip at once end up sharing one chat.
+ * @param {Trip} trip
+ * @returns {Promise<Group>} The trip's chat, whichever request created it
+ */
+export const provisionTripChat = async (trip) => {
+  const creatorId = (trip.createdBy._id || trip.createdBy).toString();
+  const previous = trip.chatGroup || null;
+  const group = await Group.create({
+    name: trip.title.slice(0, 100),
+    description: `Ride chat for ${trip.title}`.slice(0, 500),
+    type: 'group',
+    trip: trip._id,
+    createdBy: creatorId,
+    members: trip.participants.map((p) => {
+      const userId = (p.user._id || p.user).toString();
+      return { user: userId, role: userId === creatorId ? 'admin' : 'member', joinedAt: new Date() };
+    }),
+  });
+
+  const claimed = await Trip.updateOne({ _id: trip._id, chatGroup: previous }, { $set: { chatGroup: group._id } });
+  if (claimed.modifiedCount === 0) {
+    // Another request linked its chat first; use that one
+    await Group.deleteOne({ _id: group._id });
+    const current = await Trip.findById(trip._id).select('chatGroup');
+    trip.chatGroup = current.chatGroup;
+    return Group.findById(current.chatGroup);
+  }
+  trip.chatGroup = group._id;
+
+  await postSystemMessage(group, creatorId, `Chat for ${trip.title} created`);
+  return group;
+};
+
+/**
+ * Bring a trip chat's members in line with the trip's participants
+ * Each join and leave is its own conditional update, and only the request
+ * that made the change announces it, so concurrent syncs don't duplicate
+ * members or messages. Trips created before chats existed get their chat here.
+ * @param {ObjectId} tripId
+ * @returns {Promise<{added: number, removed: number}>}
+ */
+export const syncTripChatMembers = async (tripId) => {
+  const trip = await Trip.findOne({ _id: tripId, isActive: true }).select('title createdBy participants chatGroup');
+  if (!trip) return { added: 0, removed: 0 };
+
+  let group = trip.chatGroup ? await Group.findOne({ _id: trip.chatGroup, isActive: true }) : null;
+  if (!group) {
+    group = await provisionTripChat(trip);
+    if (!group) return { added: 0, removed: 0 };
+  }
+
+  const participantIds = new Set(trip.participants.map((p) => p.user.toString()));
+  const memberIds = new Set(group.members.map((m) => m.user.toString()));
+  const joining = [...participantIds].filter((id) => !memberIds.has(id));
+  const leaving = [...memberIds].filter((id) => !participantIds.has(id));
+
+  if (joining.length === 0 && leaving.length === 0) return { added: 0, removed: 0 };
+
+  const now = new Date();
+  const joined = [];
+  for (const userId of joining) {
+    const result = await Group.updateOne(
+      { _id: group._id, 'members.user': { $ne: userId } },
+      { $push: { members: { user: userId, role: 'member', joinedAt: now } }, $set: { lastActivity: now } }
+    );
+    if (result.modifiedCount === 1) joined.push(userId);
+  }
+
+  const left = [];
+  for (const userId of leaving) {
+    const result = await Group.updateOne(
+      { _id: group._id, 'members.user': userId },
+      { $pull: { members: { user: userId } }, $set: { lastActivity: now } }
+    );
+    if (result.modifiedCount === 1) left.push(userId);
+  }
+
+  if (joined.length === 0 && left.length === 0) return { added: 0, removed: 0 };
+
+  const users = await User.find({ _id: { $in: [...joined, ...left] } }).select('fName');
+  const nameOf = (id) => users.find((u) => u._id.toString() === id)?.fName || 'A rider';
+
+  const current = await Group.findById(group._id);
+  const currentIds = current.members.map((m) => m.user);
+
+  for (const userId of joined) {
+    await postSystemMessage(current, userId, `${nameOf(userId)} joined the trip`, { event: 'trip.joined', userId });
+
+    // E2EE: existing members distribute their sender keys to the new member
+    sseManager.sendToUsers(
+      currentIds.filter((id) => id.toString() !== userId),
+      'group:member_added',
+      { chatId: group._id.toString(), userId, addedBy: trip.createdBy.toString() }
+    );
+  }
+
+  // The chat is a tracking group too; drop the leavers' live location sockets
+  publishMembershipRevoked(group._id, left);
+
+  for (const userId of left) {
+    await postSystemMessage(current, userId, `${nameOf(userId)} left the trip`, { event: 'trip.left', userId });
+
+    // E2EE: drop the member's keys and have everyone else rotate theirs
+    await senderKeyService.deleteSenderKeysForUser(group._id, userId);
+    sseManager.sendToUsers(currentIds, 'group:member_removed', {
+      chatId: group._id.toString(),
+      userId,
+      removedBy: trip.createdBy.toString(),
+    });
+  }
+
+  return { added: joined.length, removed: left.length };
+};
+
+/**
+ * Announce itinerary changes in the trip chat
+ * @param {Trip} trip - Trip after the update
+ * @param {ObjectId} userId - Who made the change
+ * @param {Array<string>} changedFields - Updated trip fields
+ */
+export const announceItineraryChange = async (trip, userId, changedFields) => {
+  const changes = changedFields.filter((field) => ITINERARY_FIELDS[field]);
+  if (changes.length === 0 || !trip.chatGroup) return;
+
+  const group = await Group.findOne({ _id: trip.chatGroup, isActive: true });
+  if (!group) return;
+
+  const user = await User.findById(userId).select('fName');
+  const described = changes.map((field) => ITINERARY_FIELDS[field]);
+  const list = described.length > 1
+    ? `${described.slice(0, -1).join(', ')} and ${described[described.length - 1]}`
+    : described[0];
+
+  await postSystemMessage(group, userId, `${user ? user.fName : 'The organiser'} changed ${list}`, {
+    event: 'trip.itinerary_changed',
+    fields: changes,
+  });
+};
+
+/**
+ * Archive a trip's chat along with the trip
+ * @param {Trip} trip
+ */
+export const archiveTripChat = async (trip) => {
+  if (!trip.chatGroup) return;
+  const group = await Group.findOneAndUpdate({ _id: trip.chatGroup }, { $set: { isActive: false } });
+
+  // The chat is a tracking group too; stop relaying to its members
+  if (group) {
+    publishMembershipRevoked(group._id, group.members.map((m) => m.user));
+  }
+};
@@ -0,0 +1,261 @@
+import { Types } from 'mongoose';
+import Trip from '../models/trip.model.js';
+import User from '../models/user.model.js';
+import * as notificationService from './notification.service.js';
+import { syncTripChatMembers } from './tripChat.service.js';
+
+/**
+ * Trip Waitlist Service
+ * Trips with a `maxParticipants` capacity queue riders who join while full.
+ * When a seat frees up the first waiting rider is offered it and has the
+ * trip's `waitlistOfferMinutes` to confirm; after that the offer lapses and the
+ * seat is offered to the next rider.
+ */
+
+// Seats offered to waitlisted riders and not yet confirmed or lapsed,
+// apart from one held for `exceptUserId` (who would be taking it), if given
+const heldSeatsExpr = (now, exceptUserId = null) => {
+  const held = { $gt: ['$$this.offerExpiresAt', now] };
+  return {
+    $size: {
+      $filter: {
+        input: { $ifNull: ['$waitlist', []] },
+        cond: exceptUserId ? { $and: [held, { $ne: ['$$this.user', exceptUserId] }] } : held,
+      },
+    },
+  };
+};
+
+/**
+ * Add a user to a trip's participants if a seat is free
+ * The capacity check and the insert are one conditional update, so concurrent
+ * joins can't overfill the trip.
+ * @param {Trip} trip
+ * @param {ObjectId} userId
+ * @returns {Promise<boolean>} false when the trip is full
+ */
+export const claimSeat = async (trip, userId) => {
+  const now = new Date();
+  const filter = { _id: trip._id, 'participants.user': { $ne: userId } };
+
+  if (trip.maxParticipants) {
+    filter.$expr = {
+      $lt: [
+        { $add: [{ $size: '$participants' }, heldSeatsExpr(now, new Types.ObjectId(userId.toString()))] },
+        '$maxParticipants',
+      ],
+    };
+  }
+
+  const result = await Trip.updateOne(filter, { $push: { participants: { user: userId, joinedAt: now } } });
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Put a user at the back of a trip's waitlist
+ * @param {Trip} trip
+ * @param {ObjectId} userId
+ * @returns {Promise<number>} The user's 1-based position
+ */
+export const addToWaitlist = async (trip, userId) => {
+  await Trip.updateOne(
+    { _id: trip._id, 'waitlist.user': { $ne: userId } },
+    { $push: { waitlist: { user: userId, joinedAt: new Date() } } }
+  );
+
+  const updated = await Trip.findById(trip._id).select('waitlist.user').lean();
+  return updated.waitlist.findIndex((entry) => entry.user.toString() === userId.toString()) + 1;
+};
+
+/**
+ * Offer free seats to the first waiting riders who don't have an offer yet
+ * Call after anything that frees seats: a participant leaving or being removed,
+ * a raised capacity, or an offer being declined or lapsing.
+ * @param {ObjectId} tripId
+ * @returns {Promise<number>} Number of riders offered a seat
+ */
+export const promoteFromWaitlist = async (tripId) => {
+  const trip = await Trip.findOne({ _id: tripId, isActive: true, status: 'planned' });
+  if (!trip || trip.waitlist.length === 0) return 0;
+
+  const now = new Date();
+  const offerExpiresAt = new Date(now.getTime() + trip.waitlistOfferMinutes * 60 * 1000);
+  const seats = trip.getAvailableSeats(now);
+
+  // Riders holding an offer, or whose offer lapsed and awaits the sweep, are skipped
+  const candidates = trip.waitlist.filter((entry) => !entry.offerExpiresAt).map((entry) => entry.user);
+
+  const offered = [];
+  for (const user of candidates) {
+    if (offered.length >= seats) break;
+
+    // Each offer is its own conditional update, re-checking the seat and the
+    // entry, so concurrent promotions, leaves and confirms can't double-offer
+    const filter = {
+      _id: trip._id,
+      status: 'planned',
+      waitlist: { $elemMatch: { user, offerExpiresAt: null } },
+    };
+    if (trip.maxParticipants) {
+      filter.$expr = {
+        $lt: [{ $add: [{ $size: '$participants' }, heldSeatsExpr(now)] }, '$maxParticipants'],
+      };
+    }
+
+    const result = await Trip.updateOne(filter, {
+      $set: { 'waitlist.$.offeredAt': now, 'waitlist.$.offerExpiresAt': offerExpiresAt },
+    });
+    if (result.modifiedCount === 1) offered.push(user);
+  }
+
+  if (offered.length === 0) return 0;
+
+  await notificationService.createNotifications(
+    offered,
+    'trip.waitlist_offer',
+    'A seat opened up',
+    `A seat opened up on ${trip.title}. Confirm within ${trip.waitlistOfferMinutes} minutes to keep it`,
+    { tripId: trip._id, tripTitle: trip.title, offerExpiresAt }
+  );
+
+  return offered.length;
+};
+
+/**
+ * Take the seat offered to you
+ * @param {ObjectId} tripId
+ * @param {ObjectId} userId
+ * @returns {Promise<Trip>}
+ */
+export const confirmWaitlistOffer = async (tripId, userId) => {
+  const now = new Date();
+
+  const trip = await Trip.findOneAndUpdate(
+    {
+      _id: tripId,
+      isActive: true,
+      status: 'planned',
+      'participants.user': { $ne: userId },
+      waitlist: { $elemMatch: { user: userId, offerExpiresAt: { $gt: now } } },
+    },
+    {
+      $pull: { waitlist: { user: userId } },
+      $push: { participants: { user: userId, joinedAt: now } },
+    },
+    { new: true }
+  );
+
+  if (!trip) {
+    throw new Error('No open seat offer for you on this trip');
+  }
+
+  await syncTripChatMembers(trip._id);
+
+  const rider = await User.findById(userId).select('fName lName');
+  await notificationService.createNotifications(
+    [trip.createdBy],
+    'trip.member_joined',
+    'New rider',
+    `${rider ? rider.fName : 'A rider'} joined ${trip.title} from the waitlist`,
+    { tripId: trip._id, tripTitle: trip.title, userId }
+  );
+
+  return trip;
+};
+
+/**
+ * Leave a trip's waitlist, declining any seat you were offered
+ * @param {ObjectId} tripId
+ * @param {ObjectId} userId
+ */
+export const leaveWaitlist = async (tripId, userId) => {
+  // Returns the trip as it was, to see whether the user was holding an offer
+  const trip = await Trip.findOneAndUpdate(
+    { _id: tripId, isActive: true, 'waitlist.user': userId },
+    { $pull: { waitlist: { user: userId } } }
+  );
+
+  if (!trip) {
+    throw new Error('You are not on the waitlist of this trip');
+  }
+
+  const entry = trip.waitlist.find((e) => e.user.toString() === userId.toString());
+  if (entry?.offerExpiresAt && entry.offerExpiresAt > new Date()) {
+    await promoteFromWaitlist(trip._id);
+  }
+};
+
+/**
+ * Get a trip's waitlist
+ * The creator sees everyone waiting; anyone else sees only their own place.
+ * @param {ObjectId} tripId
+ * @param {ObjectId} userId
+ * @returns {Promise<Object>} { maxParticipants, participantCount, availableSeats, waitlist }
+ */
+export const getWaitlist = async (tripId, userId) => {
+  const trip = await Trip.findOne({ _id: tripId, isActive: true }).populate('waitlist.user', 'fName lName');
+
+  if (!trip) {
+    throw new Error('Trip not found');
+  }
+
+  const isCreator = trip.isCreator(userId);
+  if (!isCreator && !trip.isParticipant(userId) && !trip.isWaitlisted(userId)) {
+    throw new Error('You are not a participant of this trip');
+  }
+
+  const waitlist = trip.waitlist
+    .map((entry, index) => ({
+      position: index + 1,
+      user: entry.user,
+      joinedAt: entry.joinedAt,
+      offeredAt: entry.offeredAt,
+      offerExpiresAt: entry.offerExpiresAt,
+    }))
+    .filter((entry) => isCreator || entry.user?._id.toString() === userId.toString());
+
+  const availableSeats = trip.getAvailableSeats();
+
+  return {
+    maxParticipants: trip.maxParticipants,
+    participantCount: trip.getParticipantCount(),
+    availableSeats: availableSeats === Infinity ? null : availableSeats,
+    waitlist,
+  };
+};
+
+/**
+ * Drop lapsed seat offers and offer those seats to the next riders
+ * @param {number} [limit] - Max trips to process per run
+ * @returns {Promise<{expired: number, offered: number}>}
+ */
+export const expireWaitlistOffers = async (limit = 50) => {
+  const now = new Date();
+  const trips = await Trip.find({ isActive: true, 'waitlist.offerExpiresAt': { $lte: now } })
+    .select('title waitlist')
+    .limit(limit);
+
+  let expired = 0;
+  let offered = 0;
+
+  for (const trip of trips) {
+    const lapsed = trip.waitlist
+      .filter((entry) => entry.offerExpiresAt && entry.offerExpiresAt <= now)
+      .map((entry) => entry.user);
+
+    await Trip.updateOne({ _id: trip._id }, { $pull: { waitlist: { offerExpiresAt: { $lte: now } } } });
+    expired += lapsed.length;
+
+    await notificationService.createNotifications(
+      lapsed,
+      'trip.waitlist_offer_expired',
+      'Seat offer expired',
+      `Your seat offer on ${trip.title} expired`,
+      { tripId: trip._id, tripTitle: trip.title }
+    );
+
+    offered += await promoteFromWaitlist(trip._id);
+  }
+
+  return { expired, offered };
+};
@@ -0,0 +1,147 @@
+/**
+ * Expense splitting and settle-up maths
+ * Amounts are integers in the currency's minor unit (cents, paise) so splits
+ * always add back up to the expense exactly.
+ */
+
+// Keeps amount × shares well inside Number.MAX_SAFE_INTEGER while splitting
+export const MAX_EXPENSE_AMOUNT = 10_000_000_000; // minor units (100 million in a 2-decimal currency)
+export const MAX_SPLIT_SHARES = 1000;
+
+/**
+ * Digits after the decimal point for a currency (2 for USD, 0 for JPY)
+ * @param {string} currency - ISO 4217 code
+ * @returns {number}
+ */
+export const currencyExponent = (currency) =>
+  new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+
+/**
+ * Check a currency code is one Intl knows
+ * @param {string} currency
+ * @returns {boolean}
+ */
+export const isValidCurrency = (currency) => {
+  if (typeof currency !== 'string' || !/^[A-Z]{3}$/.test(currency)) return false;
+  try {
+    currencyExponent(currency);
+    return true;
+  } catch (_) {
+    return false;
+  }
+};
+
+/**
+ * Format a minor-unit amount for messages, e.g. 123450 INR → "₹1,234.50"
+ * @param {number} amount - Minor units
+ * @param {string} currency
+ * @returns {string}
+ */
+export const formatAmount = (amount, currency) =>
+  new Intl.NumberFormat('en', { style: 'currency', currency }).format(amount / 10 ** currencyExponent(currency));
+
+/**
+ * Divide an amount by weight, handing leftover minor units to the largest remainders
+ * @param {number} amount - Minor units
+ * @param {Array<number>} weights - Positive integers
+ * @returns {Array<number>} Parts that sum to amount
+ */
+const allocateByWeight = (amount, weights) => {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const parts = weights.map((weight) => Math.floor((amount * weight) / totalWeight));
+
+  let leftover = amount - parts.reduce((sum, part) => sum + part, 0);
+  const byRemainder = weights
+    .map((weight, index) => ({ index, remainder: (amount * weight) % totalWeight }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+
+  for (const { index } of byRemainder) {
+    if (leftover === 0) break;
+    parts[index]++;
+    leftover--;
+  }
+
+  return parts;
+};
+
+/**
+ * Work out what each person owes for an expense
+ * @param {number} amount - Minor units
+ * @param {'equal'|'shares'|'exact'} splitType
+ * @param {Array<Object>} entries - [{ user }] for equal, [{ user, shares }] for shares,
+ *   [{ user, amount }] for exact
+ * @returns {Array<{user: string, amount: number, shares?: number}>}
+ */
+export const splitExpense = (amount, splitType, entries) => {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('An expense must be split between at least one person');
+  }
+
+  const users = entries.map((entry) => String(entry.user));
+  if (new Set(users).size !== users.length) {
+    throw new Error('Each person can appear only once in a split');
+  }
+
+  switch (splitType) {
+    case 'equal': {
+      const parts = allocateByWeight(amount, entries.map(() => 1));
+      return users.map((user, index) => ({ user, amount: parts[index] }));
+    }
+    case 'shares': {
+      const shares = entries.map((entry) => entry.shares);
+      if (!shares.every((share) => Number.isInteger(share) && share > 0 && share <= MAX_SPLIT_SHARES)) {
+        throw new Error(`shares must be whole numbers from 1 to ${MAX_SPLIT_SHARES}`);
+      }
+      const parts = allocateByWeight(amount, shares);
+      return users.map((user, index) => ({ user, amount: parts[index], shares: shares[index] }));
+    }
+    case 'exact': {
+      const amounts = entries.map((entry) => entry.amount);
+      if (!amounts.every((part) => Number.isSafeInteger(part) && part >= 0)) {
+        throw new Error('Split amounts must be whole numbers of minor units');
+      }
+      if (amounts.reduce((sum, part) => sum + part, 0) !== amount) {
+        throw new Error('Split amounts must add up to the expense amount');
+      }
+      return users.map((user, index) => ({ user, amount: amounts[index] }));
+    }
+    default:
+      throw new Error('splitType must be one of equal, shares, exact');
+  }
+};
+
+/**
+ * Plan the fewest transfers (greedily) that settle a set of balances
+ * Repeatedly pays the largest creditor from the largest debtor, which needs at
+ * most one transfer fewer than the number of people with a balance.
+ * @param {Map<string, number>} balances - userId → net minor units (positive is owed money)
+ * @returns {Array<{from: string, to: string, amount: number}>}
+ */
+export const planSettlements = (balances) => {
+  const creditors = [];
+  const debtors = [];
+  for (const [user, net] of balances) {
+    if (net > 0) creditors.push({ user, amount: net });
+    if (net < 0) debtors.push({ user, amount: -net });
+  }
+
+  const byAmount = (a, b) => b.amount - a.amount || (a.user < b.user ? -1 : 1);
+  const transfers = [];
+
+  while (creditors.length > 0 && debtors.length > 0) {
+    creditors.sort(byAmount);
+    debtors.sort(byAmount);
+
+    const creditor = creditors[0];
+    const debtor = debtors[0];
+    const amount = Math.min(creditor.amount, debtor.amount);
+    transfers.push({ from: debtor.user, to: creditor.user, amount });
+
+    creditor.amount -= amount;
+    debtor.amount -= amount;
+    if (creditor.amount === 0) creditors.shift();
+    if (debtor.amount === 0) debtors.shift();
+  }
+
+  return transfers;
+};
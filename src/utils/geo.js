@@ -0,0 +1,88 @@
+/**
+ * Geographic helpers shared by the tracking pipeline and trip services
+ */
+
+const EARTH_RADIUS_M = 6_371_000;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two points using the haversine formula
+ * @param {{lat: number, lng: number}} a
+ * @param {{lat: number, lng: number}} b
+ * @returns {number} Distance in meters
+ */
+export const haversineMeters = (a, b) => {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+const METERS_PER_DEGREE_LAT = 110_540;
+const METERS_PER_DEGREE_LNG = 111_320;
+
+/**
+ * Distance from a point to the segment a–b, on a local flat projection
+ * Accurate enough at ride scale (segments of tens of kilometres).
+ * @param {{lat: number, lng: number}} p
+ * @param {{lat: number, lng: number}} a
+ * @param {{lat: number, lng: number}} b
+ * @returns {number} Distance in meters
+ */
+export const distanceToSegmentMeters = (p, a, b) => {
+  const lngScale = METERS_PER_DEGREE_LNG * Math.cos(toRadians(a.lat));
+  const px = (p.lng - a.lng) * lngScale;
+  const py = (p.lat - a.lat) * METERS_PER_DEGREE_LAT;
+  const bx = (b.lng - a.lng) * lngScale;
+  const by = (b.lat - a.lat) * METERS_PER_DEGREE_LAT;
+
+  const lengthSquared = bx * bx + by * by;
+  const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, (px * bx + py * by) / lengthSquared));
+
+  return Math.hypot(px - t * bx, py - t * by);
+};
+
+/**
+ * Simplify a path with the Douglas-Peucker algorithm
+ * Keeps the first and last points and every point that deviates more than
+ * the tolerance from the simplified line. Order is preserved.
+ * @param {Array<{lat: number, lng: number}>} points
+ * @param {number} toleranceMeters
+ * @returns {Array<{lat: number, lng: number}>}
+ */
+export const simplifyPath = (points, toleranceMeters) => {
+  if (points.length <= 2 || toleranceMeters <= 0) {
+    return points.slice();
+  }
+
+  const keep = new Uint8Array(points.length);
+  keep[0] = 1;
+  keep[points.length - 1] = 1;
+
+  // Iterative to stay clear of the call stack limit on long rides
+  const stack = [[0, points.length - 1]];
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+
+    let farthest = -1;
+    let farthestDistance = toleranceMeters;
+    for (let i = first + 1; i < last; i++) {
+      const distance = distanceToSegmentMeters(points[i], points[first], points[last]);
+      if (distance > farthestDistance) {
+        farthest = i;
+        farthestDistance = distance;
+      }
+    }
+
+    if (farthest !== -1) {
+      keep[farthest] = 1;
+      stack.push([first, farthest], [farthest, last]);
+    }
+  }
+
+  return points.filter((_, i) => keep[i]);
+};
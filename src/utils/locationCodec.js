@@ -0,0 +1,290 @@
+/**
+ * Binary location frame codec shared by the tracking server and clients
+ *
+ * Two wire versions are understood. Both are little-endian.
+ *
+ * v1 — legacy, exactly 40 bytes (no version byte; recognised by its size):
+ * | Offset | Type    | Field                            |
+ * |--------|---------|----------------------------------|
+ * | 0      | uint32  | userId (server-stamped on relay) |
+ * | 4      | float64 | latitude                         |
+ * | 12     | float64 | longitude                        |
+ * | 20     | uint16  | speed (km/h)                     |
+ * | 22     | uint16  | bearing (degrees, 0-360)         |
+ * | 24     | uint8   | status                           |
+ * | 25     | uint64  | timestamp ms (server-stamped)    |
+ * | 33     | -       | reserved                         |
+ *
+ * v2 — 52-byte header followed by optional fields selected by `flags`:
+ * | Offset | Type     | Field                                      |
+ * |--------|----------|--------------------------------------------|
+ * | 0      | uint8    | version (= 2)                              |
+ * | 1      | uint8    | flags (which optional fields follow)       |
+ * | 2      | uint8    | status                                     |
+ * | 3      | uint8    | reserved (0)                               |
+ * | 4      | 12 bytes | sender ObjectId (server-stamped, send 0s)  |
+ * | 16     | uint64   | server timestamp ms (server-stamped)       |
+ * | 24     | uint64   | client timestamp ms                        |
+ * | 32     | float64  | latitude                                   |
+ * | 40     | float64  | longitude                                  |
+ * | 48     | uint16   | speed (km/h)                               |
+ * | 50     | uint16   | bearing (degrees, 0-360)                   |
+ * | 52     | ...      | optional fields, in flag-bit order:        |
+ * |        | float32  |   FLAG_ALTITUDE — altitude (m)             |
+ * |        | uint16   |   FLAG_ACCURACY — horizontal accuracy (m)  |
+ * |        | uint8    |   FLAG_BATTERY  — battery (%)              |
+ *
+ * Unknown flag bits and trailing bytes are ignored when decoding and kept
+ * intact when the server stamps a frame, so new optional fields can be
+ * appended without breaking older servers or clients.
+ */
+
+export const PROTOCOL_VERSION = 2;
+export const LEGACY_FRAME_SIZE = 40;
+export const FRAME_HEADER_SIZE = 52;
+
+export const FLAG_ALTITUDE = 1 << 0;
+export const FLAG_ACCURACY = 1 << 1;
+export const FLAG_BATTERY = 1 << 2;
+
+// Values of the status byte. 0–3 match the original v1 clients.
+export const LOCATION_STATUS = Object.freeze({
+  IDLE: 0,
+  RIDING: 1,
+  PAUSED: 2,
+  SOS: 3,
+  FUEL_STOP: 4,
+  BREAKDOWN: 5,
+  CRASH_DETECTED: 6,
+});
+
+const EMERGENCY_STATUSES = new Set([LOCATION_STATUS.SOS, LOCATION_STATUS.CRASH_DETECTED]);
+
+/**
+ * Check if a status byte means the rider needs help now
+ * @param {number} status
+ * @returns {boolean}
+ */
+export const isEmergencyStatus = (status) => EMERGENCY_STATUSES.has(status);
+
+// Optional v2 fields in wire order
+const OPTIONAL_FIELDS = [
+  { flag: FLAG_ALTITUDE, name: 'altitude', size: 4, read: 'readFloatLE', write: 'writeFloatLE' },
+  { flag: FLAG_ACCURACY, name: 'accuracy', size: 2, read: 'readUInt16LE', write: 'writeUInt16LE' },
+  { flag: FLAG_BATTERY, name: 'battery', size: 1, read: 'readUInt8', write: 'writeUInt8' },
+];
+
+// Validation limits
+const MAX_SPEED_KMH = 400;
+const MIN_ALTITUDE_M = -500;
+const MAX_ALTITUDE_M = 9000;
+const MAX_ACCURACY_M = 10_000;
+const COARSE_ACCURACY_M = 1_000;
+
+const SENDER_ID_OFFSET = 4;
+const SENDER_ID_SIZE = 12;
+const SERVER_TS_OFFSET = 16;
+
+const toBuffer = (message) => (Buffer.isBuffer(message) ? message : Buffer.from(message));
+
+/**
+ * Decode a binary location frame of either version
+ * @param {ArrayBuffer|Buffer} message - Raw frame
+ * @returns {Object|null} Decoded location or null if the frame is malformed
+ */
+export const decodeLocationFrame = (message) => {
+  const buffer = toBuffer(message);
+
+  if (buffer.length === LEGACY_FRAME_SIZE) {
+    return {
+      version: 1,
+      frameUserId: buffer.readUInt32LE(0),
+      lat: buffer.readDoubleLE(4),
+      lng: buffer.readDoubleLE(12),
+      speed: buffer.readUInt16LE(20),
+      bearing: buffer.readUInt16LE(22),
+      status: buffer.readUInt8(24),
+      clientTs: Number(buffer.readBigUInt64LE(25)),
+    };
+  }
+
+  if (buffer.length < FRAME_HEADER_SIZE || buffer.readUInt8(0) !== PROTOCOL_VERSION) {
+    return null;
+  }
+
+  const flags = buffer.readUInt8(1);
+  const senderBytes = buffer.subarray(SENDER_ID_OFFSET, SENDER_ID_OFFSET + SENDER_ID_SIZE);
+  const location = {
+    version: PROTOCOL_VERSION,
+    flags,
+    status: buffer.readUInt8(2),
+    senderId: senderBytes.some((b) => b !== 0) ? senderBytes.toString('hex') : null,
+    serverTs: Number(buffer.readBigUInt64LE(SERVER_TS_OFFSET)),
+    clientTs: Number(buffer.readBigUInt64LE(24)),
+    lat: buffer.readDoubleLE(32),
+    lng: buffer.readDoubleLE(40),
+    speed: buffer.readUInt16LE(48),
+    bearing: buffer.readUInt16LE(50),
+  };
+
+  let offset = FRAME_HEADER_SIZE;
+  for (const field of OPTIONAL_FIELDS) {
+    if (!(flags & field.flag)) continue;
+    if (offset + field.size > buffer.length) return null;
+    location[field.name] = buffer[field.read](offset);
+    offset += field.size;
+  }
+
+  return location;
+};
+
+/**
+ * Validate decoded coordinates and ranges
+ * @param {Object} location - Output of decodeLocationFrame
+ * @returns {string|null} Reason the location is invalid, or null if valid
+ */
+export const validateLocation = (location) => {
+  if (!Number.isFinite(location.lat) || location.lat < -90 || location.lat > 90) {
+    return 'Latitude out of range';
+  }
+  if (!Number.isFinite(location.lng) || location.lng < -180 || location.lng > 180) {
+    return 'Longitude out of range';
+  }
+  if (location.speed > MAX_SPEED_KMH) {
+    return 'Speed out of range';
+  }
+  if (location.bearing > 360) {
+    return 'Bearing out of range';
+  }
+  if (
+    location.altitude !== undefined &&
+    (!Number.isFinite(location.altitude) || location.altitude < MIN_ALTITUDE_M || location.altitude > MAX_ALTITUDE_M)
+  ) {
+    return 'Altitude out of range';
+  }
+  if (location.accuracy !== undefined && location.accuracy > MAX_ACCURACY_M) {
+    return 'Accuracy out of range';
+  }
+  if (location.battery !== undefined && location.battery > 100) {
+    return 'Battery out of range';
+  }
+  return null;
+};
+
+/**
+ * Derive the uint32 userId legacy (v1) clients display (FNV-1a of the user ID)
+ * @param {string} userId
+ * @returns {number}
+ */
+export const legacyUserId = (userId) => {
+  let hash = 0x811c9dc5;
+  for (const char of String(userId)) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Write a sender ID into 12 bytes: ObjectId hex as-is, anything else hashed
+ * @param {Buffer} buffer
+ * @param {string} senderId
+ */
+const writeSenderId = (buffer, senderId) => {
+  const id = String(senderId);
+  if (/^[0-9a-f]{24}$/i.test(id)) {
+    buffer.write(id, SENDER_ID_OFFSET, SENDER_ID_SIZE, 'hex');
+  } else {
+    buffer.fill(0, SENDER_ID_OFFSET, SENDER_ID_OFFSET + SENDER_ID_SIZE);
+    buffer.writeUInt32LE(legacyUserId(id), SENDER_ID_OFFSET + SENDER_ID_SIZE - 4);
+  }
+};
+
+/**
+ * Encode a v2 location frame
+ * @param {Object} location - { status, senderId?, serverTs?, clientTs?, lat, lng, speed, bearing, altitude?, accuracy?, battery? }
+ * @returns {Buffer}
+ */
+export const encodeLocationFrame = (location) => {
+  const present = OPTIONAL_FIELDS.filter((field) => location[field.name] !== undefined && location[field.name] !== null);
+  const size = FRAME_HEADER_SIZE + present.reduce((total, field) => total + field.size, 0);
+  const buffer = Buffer.alloc(size);
+
+  buffer.writeUInt8(PROTOCOL_VERSION, 0);
+  buffer.writeUInt8(present.reduce((flags, field) => flags | field.flag, 0), 1);
+  buffer.writeUInt8(location.status || 0, 2);
+  if (location.senderId) writeSenderId(buffer, location.senderId);
+  buffer.writeBigUInt64LE(BigInt(location.serverTs || 0), SERVER_TS_OFFSET);
+  buffer.writeBigUInt64LE(BigInt(location.clientTs || 0), 24);
+  buffer.writeDoubleLE(location.lat, 32);
+  buffer.writeDoubleLE(location.lng, 40);
+  buffer.writeUInt16LE(location.speed || 0, 48);
+  buffer.writeUInt16LE(location.bearing || 0, 50);
+
+  let offset = FRAME_HEADER_SIZE;
+  for (const field of present) {
+    buffer[field.write](location[field.name], offset);
+    offset += field.size;
+  }
+
+  return buffer;
+};
+
+/**
+ * Produce the frame the server relays: a v2 copy carrying the authenticated
+ * sender and the server's receive time. v2 input keeps any unknown trailing
+ * fields; v1 input is upgraded to v2.
+ * @param {ArrayBuffer|Buffer} message - Frame as received from the client
+ * @param {Object} location - Decoded (and validated) frame
+ * @param {string} senderId - Authenticated sender user ID
+ * @param {number} [serverTs] - Receive time in ms
+ * @returns {Buffer}
+ */
+export const stampLocationFrame = (message, location, senderId, serverTs = Date.now()) => {
+  if (location.version === 1) {
+    return encodeLocationFrame({ ...location, senderId, serverTs });
+  }
+
+  const stamped = Buffer.from(toBuffer(message)); // copy — uWS buffers are only valid in the callback
+  writeSenderId(stamped, senderId);
+  stamped.writeBigUInt64LE(BigInt(serverTs), SERVER_TS_OFFSET);
+  return stamped;
+};
+
+/**
+ * Blur a location for riders sharing in coarse mode
+ * Coordinates are rounded to 0.01° (~1 km), bearing and altitude are dropped and
+ * accuracy is reported as 1 km so clients draw an area rather than a pin.
+ * @param {Object} location - Decoded, validated location
+ * @returns {Object} v2 location ready for encodeLocationFrame
+ */
+export const coarsenLocation = (location) => ({
+  ...location,
+  version: PROTOCOL_VERSION,
+  lat: Math.round(location.lat * 100) / 100,
+  lng: Math.round(location.lng * 100) / 100,
+  bearing: 0,
+  altitude: undefined,
+  accuracy: COARSE_ACCURACY_M,
+});
+
+/**
+ * Convert a stamped v2 frame to the 40-byte v1 layout for legacy clients
+ * @param {Buffer} frame - Stamped v2 frame
+ * @param {string} senderId - Sender user ID
+ * @returns {Buffer|null}
+ */
+export const toLegacyFrame = (frame, senderId) => {
+  const location = decodeLocationFrame(frame);
+  if (!location) return null;
+
+  const buffer = Buffer.alloc(LEGACY_FRAME_SIZE);
+  buffer.writeUInt32LE(legacyUserId(senderId), 0);
+  buffer.writeDoubleLE(location.lat, 4);
+  buffer.writeDoubleLE(location.lng, 12);
+  buffer.writeUInt16LE(location.speed, 20);
+  buffer.writeUInt16LE(location.bearing, 22);
+  buffer.writeUInt8(location.status, 24);
+  buffer.writeBigUInt64LE(BigInt(location.serverTs), 25);
+  return buffer;
+};
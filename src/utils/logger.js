@@ -0,0 +1,44 @@
+/**
+ * Structured logger
+ * Writes one JSON object per line so log shippers can index the fields. The
+ * threshold comes from LOG_LEVEL (debug, info, warn, error or silent; default
+ * info), read on first use so a later dotenv.config() still applies.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+let threshold = null;
+
+const getThreshold = () => {
+  if (threshold === null) {
+    threshold = LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] ?? LEVELS.info;
+  }
+  return threshold;
+};
+
+/**
+ * Create a logger that tags every line with a component name
+ * @param {string} component - e.g. 'tracking'
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function, isLevelEnabled: Function}}
+ *   Each log function takes (msg, fields) where fields is a flat object of extra keys
+ */
+export const createLogger = (component) => {
+  const write = (level, msg, fields = {}) => {
+    if (LEVELS[level] < getThreshold()) return;
+
+    const line = JSON.stringify({ time: new Date().toISOString(), level, component, msg, ...fields });
+    if (LEVELS[level] >= LEVELS.warn) {
+      process.stderr.write(`${line}\n`);
+    } else {
+      process.stdout.write(`${line}\n`);
+    }
+  };
+
+  return {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+    isLevelEnabled: (level) => LEVELS[level] >= getThreshold(),
+  };
+};
@@ -0,0 +1,150 @@
+/**
+ * Minimal Prometheus metrics registry
+ * Counters, gauges and histograms kept in memory and rendered in the
+ * Prometheus text exposition format (version 0.0.4) for a /metrics endpoint.
+ */
+
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const escapeLabelValue = (value) =>
+  String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+// Stable key for a label set, also used verbatim inside the braces
+const labelKey = (labels = {}) =>
+  Object.keys(labels)
+    .sort()
+    .map((name) => `${name}="${escapeLabelValue(labels[name])}"`)
+    .join(',');
+
+const formatSample = (name, key, value) => `${name}${key ? `{${key}}` : ''} ${value}`;
+
+const formatNumber = (value) => (value === Infinity ? '+Inf' : String(value));
+
+/**
+ * Create a metrics registry
+ * @returns {{counter: Function, gauge: Function, histogram: Function, render: Function}}
+ */
+export const createMetricsRegistry = () => {
+  // Rendered in registration order
+  const metrics = [];
+
+  /**
+   * Register a monotonically increasing counter
+   * @param {string} name - Should end in _total
+   * @param {string} help
+   * @returns {{inc: Function, total: Function}}
+   */
+  const counter = (name, help) => {
+    // Map<labelKey, value>
+    const values = new Map();
+
+    metrics.push({
+      name,
+      help,
+      type: 'counter',
+      lines: () => [...values].map(([key, value]) => formatSample(name, key, value)),
+    });
+
+    return {
+      inc: (labels = {}, amount = 1) => {
+        const key = labelKey(labels);
+        values.set(key, (values.get(key) || 0) + amount);
+      },
+      // Sum over every label set, for rates computed in-process
+      total: () => {
+        let sum = 0;
+        for (const value of values.values()) sum += value;
+        return sum;
+      },
+    };
+  };
+
+  /**
+   * Register a gauge, either set directly or read from `collect` at scrape time
+   * @param {string} name
+   * @param {string} help
+   * @param {Function} [collect] - () => number, or Array<{labels, value}>
+   * @returns {{set: Function}}
+   */
+  const gauge = (name, help, collect = null) => {
+    // Map<labelKey, value>
+    const values = new Map();
+
+    metrics.push({
+      name,
+      help,
+      type: 'gauge',
+      lines: () => {
+        if (collect) {
+          const collected = collect();
+          const samples = Array.isArray(collected) ? collected : [{ labels: {}, value: collected }];
+          return samples.map(({ labels, value }) => formatSample(name, labelKey(labels), value));
+        }
+        return [...values].map(([key, value]) => formatSample(name, key, value));
+      },
+    });
+
+    return {
+      set: (value, labels = {}) => {
+        values.set(labelKey(labels), value);
+      },
+    };
+  };
+
+  /**
+   * Register a histogram with fixed upper bounds
+   * @param {string} name
+   * @param {string} help
+   * @param {Array<number>} buckets - Ascending upper bounds; +Inf is added
+   * @returns {{observe: Function}}
+   */
+  const histogram = (name, help, buckets) => {
+    const bounds = [...buckets, Infinity];
+    // Map<labelKey, { counts: Array<number>, sum: number, count: number }>
+    const series = new Map();
+
+    metrics.push({
+      name,
+      help,
+      type: 'histogram',
+      lines: () => {
+        const lines = [];
+        for (const [key, { counts, sum, count }] of series) {
+          const prefix = key ? `${key},` : '';
+          let cumulative = 0;
+          bounds.forEach((bound, index) => {
+            cumulative += counts[index];
+            lines.push(`${name}_bucket{${prefix}le="${formatNumber(bound)}"} ${cumulative}`);
+          });
+          lines.push(formatSample(`${name}_sum`, key, sum));
+          lines.push(formatSample(`${name}_count`, key, count));
+        }
+        return lines;
+      },
+    });
+
+    return {
+      observe: (value, labels = {}) => {
+        const key = labelKey(labels);
+        if (!series.has(key)) {
+          series.set(key, { counts: new Array(bounds.length).fill(0), sum: 0, count: 0 });
+        }
+        const entry = series.get(key);
+        entry.counts[bounds.findIndex((bound) => value <= bound)]++;
+        entry.sum += value;
+        entry.count++;
+      },
+    };
+  };
+
+  /**
+   * Render every metric in the Prometheus text format
+   * @returns {string}
+   */
+  const render = () =>
+    metrics
+      .map(({ name, help, type, lines }) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...lines()].join('\n'))
+      .join('\n') + '\n';
+
+  return { counter, gauge, histogram, render };
+};
@@ -0,0 +1,100 @@
+import { haversineMeters } from './geo.js';
+
+/**
+ * Ride statistics from recorded breadcrumbs
+ * Breadcrumbs are already down-sampled (one every few seconds while moving,
+ * one a minute while stationary), so segment speeds are reliable enough to
+ * split moving from stopped time.
+ */
+
+const MOVING_SPEED_KMH = 5;          // slower than this between samples counts as stopped
+const MAX_SEGMENT_SPEED_KMH = 300;   // faster than this is a GPS jump, not riding
+const ELEVATION_NOISE_M = 3;         // ignore altitude wobble smaller than this
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Summarize one rider's path
+ * @param {Array<Object>} points - [{ lat, lng, ts, speed?, altitude? }] sorted by time
+ * @returns {Object} { distanceMeters, movingSeconds, stoppedSeconds, avgSpeedKmh, maxSpeedKmh,
+ *   elevationGainMeters, elevationLossMeters } (elevation is null without altitude data)
+ */
+export const summarizeRide = (points) => {
+  let distanceMeters = 0;
+  let movingSeconds = 0;
+  let stoppedSeconds = 0;
+  let maxSpeedKmh = 0;
+  let elevationGainMeters = null;
+  let elevationLossMeters = null;
+  let lastAltitude = null;
+
+  points.forEach((point, i) => {
+    if (point.altitude != null) {
+      if (lastAltitude === null) {
+        lastAltitude = point.altitude;
+        elevationGainMeters = 0;
+        elevationLossMeters = 0;
+      } else if (Math.abs(point.altitude - lastAltitude) >= ELEVATION_NOISE_M) {
+        if (point.altitude > lastAltitude) {
+          elevationGainMeters += point.altitude - lastAltitude;
+        } else {
+          elevationLossMeters += lastAltitude - point.altitude;
+        }
+        lastAltitude = point.altitude;
+      }
+    }
+
+    if (i === 0) return;
+
+    const previous = points[i - 1];
+    const seconds = (new Date(point.ts) - new Date(previous.ts)) / 1000;
+    if (seconds <= 0) return;
+
+    const meters = haversineMeters(previous, point);
+    const segmentKmh = (meters / seconds) * 3.6;
+    if (segmentKmh > MAX_SEGMENT_SPEED_KMH) return;
+
+    distanceMeters += meters;
+    if (segmentKmh >= MOVING_SPEED_KMH) {
+      movingSeconds += seconds;
+      maxSpeedKmh = Math.max(maxSpeedKmh, segmentKmh, Math.min(point.speed || 0, MAX_SEGMENT_SPEED_KMH));
+    } else {
+      stoppedSeconds += seconds;
+    }
+  });
+
+  return {
+    distanceMeters: Math.round(distanceMeters),
+    movingSeconds: Math.round(movingSeconds),
+    stoppedSeconds: Math.round(stoppedSeconds),
+    avgSpeedKmh: movingSeconds > 0 ? round((distanceMeters / movingSeconds) * 3.6) : 0,
+    maxSpeedKmh: round(maxSpeedKmh),
+    elevationGainMeters: elevationGainMeters === null ? null : Math.round(elevationGainMeters),
+    elevationLossMeters: elevationLossMeters === null ? null : Math.round(elevationLossMeters),
+  };
+};
+
+/**
+ * Combine per-rider summaries into group totals
+ * @param {Array<Object>} summaries - Results of summarizeRide
+ * @returns {Object} { riderCount, totalDistanceMeters, avgDistanceMeters, movingSeconds,
+ *   stoppedSeconds, avgSpeedKmh, maxSpeedKmh, elevationGainMeters }
+ */
+export const combineRideStats = (summaries) => {
+  const totalDistanceMeters = summaries.reduce((sum, s) => sum + s.distanceMeters, 0);
+  const totalMovingSeconds = summaries.reduce((sum, s) => sum + s.movingSeconds, 0);
+  const gains = summaries.map((s) => s.elevationGainMeters).filter((gain) => gain !== null);
+  const count = summaries.length;
+
+  return {
+    riderCount: count,
+    totalDistanceMeters,
+    avgDistanceMeters: count ? Math.round(totalDistanceMeters / count) : 0,
+    // The ride took as long as its longest rider
+    movingSeconds: Math.max(0, ...summaries.map((s) => s.movingSeconds)),
+    stoppedSeconds: Math.max(0, ...summaries.map((s) => s.stoppedSeconds)),
+    avgSpeedKmh: totalMovingSeconds > 0 ? round((totalDistanceMeters / totalMovingSeconds) * 3.6) : 0,
+    maxSpeedKmh: Math.max(0, ...summaries.map((s) => s.maxSpeedKmh)),
+    elevationGainMeters: gains.length ? Math.max(...gains) : null,
+  };
+};
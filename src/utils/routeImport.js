@@ -0,0 +1,78 @@
+/**
+ * Planned route importers
+ * Turn a GPX file or an encoded polyline (as drawn by map SDKs) into a list
+ * of { lat, lng } points.
+ */
+
+const isValidPoint = ({ lat, lng }) =>
+  Number.isFinite(lat) && Number.isFinite(lng) && lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+
+/**
+ * Read a route from a GPX document
+ * Uses track points when present, otherwise route points (Basecamp and
+ * Komoot export either).
+ * @param {string} xml - GPX 1.0 / 1.1 document
+ * @returns {Array<{lat: number, lng: number}>}
+ */
+export const parseGpxRoute = (xml) => {
+  const readPoints = (tag) => {
+    const points = [];
+    const elementPattern = new RegExp(`<${tag}\\b([^>]*)>`, 'g');
+    let match;
+    while ((match = elementPattern.exec(xml)) !== null) {
+      const attributes = match[1];
+      const lat = parseFloat(/\blat\s*=\s*["']([^"']+)["']/.exec(attributes)?.[1]);
+      const lng = parseFloat(/\blon\s*=\s*["']([^"']+)["']/.exec(attributes)?.[1]);
+      if (isValidPoint({ lat, lng })) {
+        points.push({ lat, lng });
+      }
+    }
+    return points;
+  };
+
+  const trackPoints = readPoints('trkpt');
+  return trackPoints.length > 0 ? trackPoints : readPoints('rtept');
+};
+
+/**
+ * Decode a Google encoded polyline (precision 5)
+ * @param {string} encoded
+ * @returns {Array<{lat: number, lng: number}>}
+ */
+export const decodePolyline = (encoded) => {
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  const readValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      if (index >= encoded.length) {
+        throw new Error('Malformed polyline');
+      }
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < encoded.length) {
+    lat += readValue();
+    lng += readValue();
+    points.push({ lat: lat / 1e5, lng: lng / 1e5 });
+  }
+
+  return points.filter(isValidPoint);
+};
+
+/**
+ * Keep only well-formed points from a client-supplied list
+ * @param {Array<Object>} points
+ * @returns {Array<{lat: number, lng: number}>}
+ */
+export const normalizeRoutePoints = (points) =>
+  points.map((p) => ({ lat: Number(p?.lat), lng: Number(p?.lng) })).filter(isValidPoint);
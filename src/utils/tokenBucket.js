@@ -0,0 +1,67 @@
+/**
+ * In-memory token-bucket limiter for high-frequency streams (tracking frames)
+ * Each key refills at `ratePerSecond` up to `burst` tokens. Rejected calls
+ * count as strikes; too many strikes inside the strike window marks the key
+ * as abusive so the caller can disconnect it.
+ */
+
+/**
+ * Create a token-bucket limiter
+ * @param {Object} options
+ * @param {number} options.ratePerSecond - Sustained calls allowed per second
+ * @param {number} options.burst - Bucket size (short bursts allowed above the rate)
+ * @param {number} options.maxStrikes - Rejections tolerated per strike window
+ * @param {number} options.strikeWindowMs - Strike window in milliseconds
+ * @returns {{consume: Function, sweep: Function}}
+ */
+export const createTokenBucketLimiter = ({ ratePerSecond, burst, maxStrikes, strikeWindowMs }) => {
+  // Map<key, { tokens, refilledAt, strikes, strikeWindowStart }>
+  const buckets = new Map();
+
+  /**
+   * Take one token for a key
+   * @param {string} key
+   * @param {number} [now]
+   * @returns {'ok'|'limited'|'throttled'|'abusive'} `limited` on the first rejection of a
+   *   strike window, `throttled` on the rest, `abusive` once the strikes run out
+   */
+  const consume = (key, now = Date.now()) => {
+    let bucket = buckets.get(key);
+    if (!bucket) {
+      bucket = { tokens: burst, refilledAt: now, strikes: 0, strikeWindowStart: now };
+      buckets.set(key, bucket);
+    }
+
+    bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.refilledAt) / 1000) * ratePerSecond);
+    bucket.refilledAt = now;
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return 'ok';
+    }
+
+    if (now - bucket.strikeWindowStart > strikeWindowMs) {
+      bucket.strikes = 0;
+      bucket.strikeWindowStart = now;
+    }
+    bucket.strikes++;
+
+    if (bucket.strikes > maxStrikes) return 'abusive';
+    return bucket.strikes === 1 ? 'limited' : 'throttled';
+  };
+
+  /**
+   * Drop buckets that have been idle long enough to be full again
+   * @param {number} [now]
+   */
+  const sweep = (now = Date.now()) => {
+    const fullAfterMs = (burst / ratePerSecond) * 1000 + strikeWindowMs;
+    for (const [key, bucket] of buckets) {
+      if (now - bucket.refilledAt > fullAfterMs) {
+        buckets.delete(key);
+      }
+    }
+  };
+
+  return { consume, sweep };
+};
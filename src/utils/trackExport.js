@@ -0,0 +1,146 @@
+/**
+ * Trip track renderers for GPX 1.1, KML 2.2 and GeoJSON
+ *
+ * All renderers take the same input:
+ * - waypoints: [{ name, role, lat, lng }] — planned start, stops and destination
+ * - tracks:    [{ name, points: [{ lat, lng, ts, speed?, altitude? }] }] — one per rider
+ */
+
+export const EXPORT_FORMATS = {
+  gpx: { contentType: 'application/gpx+xml', extension: 'gpx' },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml' },
+  geojson: { contentType: 'application/geo+json', extension: 'geojson' },
+};
+
+const escapeXml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const toIso = (ts) => new Date(ts).toISOString();
+
+const hasAltitude = (point) => point.altitude != null;
+
+/**
+ * Render a GPX 1.1 document (Strava, Garmin Basecamp)
+ * @param {Object} data - { title, waypoints, tracks }
+ * @returns {string}
+ */
+export const toGpx = ({ title, waypoints, tracks }) => {
+  const wpts = waypoints
+    .map(
+      (wp) =>
+        `  <wpt lat="${wp.lat}" lon="${wp.lng}">\n` +
+        `    <name>${escapeXml(wp.name)}</name>\n` +
+        `    <type>${escapeXml(wp.role)}</type>\n` +
+        `  </wpt>`
+    )
+    .join('\n');
+
+  const trks = tracks
+    .map((track) => {
+      const trkpts = track.points
+        .map((p) => {
+          const ele = hasAltitude(p) ? `<ele>${p.altitude}</ele>` : '';
+          return `      <trkpt lat="${p.lat}" lon="${p.lng}">${ele}<time>${toIso(p.ts)}</time></trkpt>`;
+        })
+        .join('\n');
+      return `  <trk>\n    <name>${escapeXml(track.name)}</name>\n    <trkseg>\n${trkpts}\n    </trkseg>\n  </trk>`;
+    })
+    .join('\n');
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Circles" xmlns="http://www.topografix.com/GPX/1/1">',
+    `  <metadata><name>${escapeXml(title)}</name></metadata>`,
+    wpts,
+    trks,
+    '</gpx>',
+  ]
+    .filter(Boolean)
+    .join('\n');
+};
+
+/**
+ * Render a KML 2.2 document (Google Earth)
+ * @param {Object} data - { title, waypoints, tracks }
+ * @returns {string}
+ */
+export const toKml = ({ title, waypoints, tracks }) => {
+  const placemarks = waypoints
+    .map(
+      (wp) =>
+        `    <Placemark>\n` +
+        `      <name>${escapeXml(wp.name)}</name>\n` +
+        `      <description>${escapeXml(wp.role)}</description>\n` +
+        `      <Point><coordinates>${wp.lng},${wp.lat}</coordinates></Point>\n` +
+        `    </Placemark>`
+    )
+    .join('\n');
+
+  const lines = tracks
+    .map((track) => {
+      const whens = track.points.map((p) => `        <when>${toIso(p.ts)}</when>`).join('\n');
+      const coords = track.points.map((p) => `        <gx:coord>${p.lng} ${p.lat} ${hasAltitude(p) ? p.altitude : 0}</gx:coord>`).join('\n');
+      return (
+        `    <Placemark>\n` +
+        `      <name>${escapeXml(track.name)}</name>\n` +
+        `      <gx:Track>\n${whens}\n${coords}\n      </gx:Track>\n` +
+        `    </Placemark>`
+      );
+    })
+    .join('\n');
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(title)}</name>`,
+    placemarks,
+    lines,
+    '  </Document>',
+    '</kml>',
+  ]
+    .filter(Boolean)
+    .join('\n');
+};
+
+/**
+ * Render a GeoJSON FeatureCollection
+ * @param {Object} data - { title, waypoints, tracks }
+ * @returns {string}
+ */
+export const toGeoJson = ({ title, waypoints, tracks }) =>
+  JSON.stringify({
+    type: 'FeatureCollection',
+    name: title,
+    features: [
+      ...waypoints.map((wp) => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [wp.lng, wp.lat] },
+        properties: { name: wp.name, role: wp.role },
+      })),
+      ...tracks.map((track) => ({
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: track.points.map((p) => (hasAltitude(p) ? [p.lng, p.lat, p.altitude] : [p.lng, p.lat])) },
+        properties: {
+          name: track.name,
+          userId: track.userId,
+          times: track.points.map((p) => toIso(p.ts)),
+        },
+      })),
+    ],
+  });
+
+const RENDERERS = { gpx: toGpx, kml: toKml, geojson: toGeoJson };
+
+/**
+ * Render trip data in the requested format
+ * @param {string} format - 'gpx' | 'kml' | 'geojson'
+ * @param {Object} data - { title, waypoints, tracks }
+ * @returns {string}
+ */
+export const renderTrackExport = (format, data) => RENDERERS[format](data);
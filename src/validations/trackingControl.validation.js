@@ -0,0 +1,85 @@
+import { z } from 'zod';
+
+/**
+ * Schemas for JSON control messages sent as text frames on the tracking WebSocket.
+ * Every message may carry an `id`, which the server echoes in its reply.
+ * `groupId` defaults to the group the socket connected with.
+ */
+
+const messageId = z.union([z.string().max(64), z.number()]).optional();
+const groupId = z.string().trim().min(1).max(64).optional();
+
+const point = z.object({
+  lat: z.number().min(-90).max(90),
+  lng: z.number().min(-180).max(180),
+  name: z.string().trim().max(100).optional(),
+});
+
+export const pingSchema = z.object({
+  type: z.literal('ping'),
+  id: messageId,
+  clientTs: z.number().int().nonnegative(),
+});
+
+export const pauseSharingSchema = z.object({
+  type: z.literal('pause_sharing'),
+  id: messageId,
+  groupId,
+});
+
+export const resumeSharingSchema = z.object({
+  type: z.literal('resume_sharing'),
+  id: messageId,
+  groupId,
+});
+
+export const regroupRequestSchema = z.object({
+  type: z.literal('regroup_request'),
+  id: messageId,
+  groupId,
+  point,
+  message: z.string().trim().max(200).optional(),
+});
+
+export const subscribeSchema = z.object({
+  type: z.literal('subscribe'),
+  id: messageId,
+  groupId: z.string().trim().min(1).max(64),
+});
+
+export const unsubscribeSchema = z.object({
+  type: z.literal('unsubscribe'),
+  id: messageId,
+  groupId: z.string().trim().min(1).max(64),
+});
+
+export const controlMessageSchema = z.discriminatedUnion('type', [
+  pingSchema,
+  pauseSharingSchema,
+  resumeSharingSchema,
+  regroupRequestSchema,
+  subscribeSchema,
+  unsubscribeSchema,
+]);
+
+/**
+ * Parse and validate a control message from a text frame
+ * @param {string} text - Raw text frame
+ * @returns {{message: Object}|{error: string}}
+ */
+export const parseControlMessage = (text) => {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (_) {
+    return { error: 'Control messages must be JSON' };
+  }
+
+  const result = controlMessageSchema.safeParse(raw);
+  if (!result.success) {
+    const issue = result.error.issues[0];
+    return { error: issue.path.length ? `${issue.path.join('.')}: ${issue.message}` : issue.message };
+  }
+
+  return { message: result.data };
+};
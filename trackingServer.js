@@ -3,6 +3,44 @@ import jwt from 'jsonwebtoken';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import connectDB from './src/config/db.js';
+import {
+  isTrackingMember,
+  getTrackingGroup,
+  isTrackingSessionOpen,
+  invalidateTrackingGroup,
+} from './src/services/trackingMembership.service.js';
+import { recordBreadcrumb, flushBreadcrumbs } from './src/services/breadcrumb.service.js';
+import { evaluateGeofences } from './src/services/geofence.service.js';
+import { evaluateRouteDeviation } from './src/services/routeDeviation.service.js';
+import { reportEmergency } from './src/services/incident.service.js';
+import { trackRiderPosition, startSeparationMonitor } from './src/services/separation.service.js';
+import { trackRiderSpeed, startEtaPublisher } from './src/services/eta.service.js';
+import { startSessionSync, startMembershipSync } from './src/services/trackingSession.service.js';
+import { computeTripStats } from './src/services/trip.service.js';
+import { resolveShareLink } from './src/services/shareLink.service.js';
+import { getSharingMode, prepareSharingMode, startSharingSync } from './src/services/locationSharing.service.js';
+import {
+  PROTOCOL_VERSION,
+  decodeLocationFrame,
+  validateLocation,
+  stampLocationFrame,
+  toLegacyFrame,
+  isEmergencyStatus,
+  encodeLocationFrame,
+  coarsenLocation,
+} from './src/utils/locationCodec.js';
+import {
+  startTrackingBus,
+  publishFrame,
+  publishControl,
+  claimOnce,
+  stopTrackingBus,
+} from './src/services/trackingBus.service.js';
+import { parseControlMessage } from './src/validations/trackingControl.validation.js';
+import { createTokenBucketLimiter } from './src/utils/tokenBucket.js';
+import { createLogger } from './src/utils/logger.js';
+import { createMetricsRegistry, PROMETHEUS_CONTENT_TYPE } from './src/utils/metrics.js';
 
 // Load environment variables
 const __filename = fileURLToPath(import.meta.url);
@@ -15,18 +53,133 @@ const PORT = parseInt(process.env.TRACKING_SERVER_PORT || '9001', 10);
 // In-memory routing: Map<groupId, Set<WebSocket>>
 const groups = new Map();
 
-// User metadata: WeakMap<WebSocket, {userId, groupId}>
+// User metadata: WeakMap<WebSocket, {userId, groupId, protocolVersion, mux, viewer, subscriptions, pending, backedUpSince}>
+//   groupId:       group the socket connected with (where untagged binary frames go; null for mux sockets opened without one)
+//   mux:           frames in both directions carry a leading group index byte
+//   viewer:        { token, riderId, expiresAt } for watch-only share link sockets, else null
+//   subscriptions: Map<groupId, groupIndex> the socket receives from, including groupId
+//   pending:       Map<`${groupId}:${senderId}`, {groupId, entry}> of frames held back while the socket is backed up
 const userMetadata = new WeakMap();
 
+// Watch-only sockets opened with a share link, re-checked for expiry and revocation
+const viewerSockets = new Set();
+
+// Riders who paused sharing with pause_sharing: Map<groupId, Map<userId, pausedAt>>
+const pausedSharing = new Map();
+
+const MAX_SUBSCRIPTIONS = 8;                  // groups one socket may receive from
+const PAUSE_MAX_MS = 12 * 60 * 60 * 1000;     // a forgotten pause lapses after 12 h
+const STATS_DELAY_MS = 30_000;                // let every instance flush before computing ride stats
+
+// ─── Flow Control ──────────────────────────────────────────────────────────────
+const MAX_FRAMES_PER_SEC = parseFloat(process.env.TRACKING_MAX_FRAMES_PER_SEC || '5');
+const SLOW_CONSUMER_BYTES = 64 * 1024;    // coalesce once this much is queued for a socket
+const SLOW_CONSUMER_TIMEOUT_MS = 30_000;  // close sockets that stay backed up this long
+
+// Frame budget per user and group, shared by WebSocket and /poll/send, so riding
+// in several groups doesn't split one budget. A client overrunning it by
+// ~20 frames/s for 10 s (e.g. a buggy build sending at 50 Hz) is disconnected.
+const frameLimiter = createTokenBucketLimiter({
+  ratePerSecond: MAX_FRAMES_PER_SEC,
+  burst: MAX_FRAMES_PER_SEC * 2,
+  maxStrikes: 200,
+  strikeWindowMs: 10_000,
+});
+
+// JSON control messages (ping, subscribe, pause, regroup) get their own small budget per user
+const MAX_CONTROLS_PER_SEC = 2;
+const controlLimiter = createTokenBucketLimiter({
+  ratePerSecond: MAX_CONTROLS_PER_SEC,
+  burst: MAX_CONTROLS_PER_SEC * 5,
+  maxStrikes: 50,
+  strikeWindowMs: 10_000,
+});
+
+const frameBudgetKey = (userId, groupId) => `${userId}:${groupId}`;
+
+// ─── Observability ─────────────────────────────────────────────────────────────
+// Structured logs (LOG_LEVEL=debug adds a line per relayed frame) and the
+// counters behind GET /metrics.
+const log = createLogger('tracking');
+const metrics = createMetricsRegistry();
+
+const RATE_WINDOW_MS = 10_000;   // window for the frames-per-second gauges
+
+let activeSockets = 0;
+const frameRates = { in: 0, out: 0 };
+
+const framesIn = metrics.counter(
+  'tracking_frames_in_total',
+  'Location frames received, by transport (ws, poll, or remote from other instances)'
+);
+const framesOut = metrics.counter('tracking_frames_out_total', 'Location frames delivered to clients, by transport');
+const framesDropped = metrics.counter('tracking_frames_dropped_total', 'Location frames not relayed, by reason');
+const backpressureEvents = metrics.counter(
+  'tracking_backpressure_events_total',
+  'Slow consumer events: backed_up, drained or closed'
+);
+const authFailures = metrics.counter('tracking_auth_failures_total', 'Rejected connections and requests, by transport and status');
+const relayFanout = metrics.histogram(
+  'tracking_relay_fanout',
+  'Local WebSocket peers each frame received on this instance was sent to',
+  [0, 1, 2, 5, 10, 20, 50, 100]
+);
+const pollWait = metrics.histogram(
+  'tracking_poll_wait_seconds',
+  'How long long-polls were held open, by outcome (data, timeout, closed, left, aborted)',
+  [0.1, 0.5, 1, 2.5, 5, 10, 20, 30]
+);
+
+metrics.gauge('tracking_active_sockets', 'Open WebSocket connections, by kind', () => [
+  { labels: { kind: 'rider' }, value: activeSockets - viewerSockets.size },
+  { labels: { kind: 'viewer' }, value: viewerSockets.size },
+]);
+metrics.gauge('tracking_groups', 'Groups with at least one WebSocket connection here', () => groups.size);
+metrics.gauge('tracking_polling_clients', 'Long-polls currently held open', () => {
+  let waiting = 0;
+  for (const [, pg] of pollingGroups) waiting += pg.subscribers.length;
+  return waiting;
+});
+metrics.gauge('tracking_frames_per_second', `Location frames per second over the last ${RATE_WINDOW_MS / 1000} s`, () => [
+  { labels: { direction: 'in' }, value: frameRates.in },
+  { labels: { direction: 'out' }, value: frameRates.out },
+]);
+
+/**
+ * Count a rejected connection or request (server errors aren't auth failures)
+ * @param {'ws'|'poll'} transport
+ * @param {string} status - uWS status line, e.g. '403 Forbidden'
+ */
+function recordAuthFailure(transport, status) {
+  const code = parseInt(status, 10);
+  if (code < 500) authFailures.inc({ transport, status: code });
+}
+
+/**
+ * Record how long a long-poll was held before it was answered
+ * @param {Object} sub - Polling subscriber
+ * @param {'data'|'timeout'|'closed'|'left'|'aborted'} outcome
+ */
+function observePollWait(sub, outcome) {
+  pollWait.observe((Date.now() - sub.waitingSince) / 1000, { outcome });
+}
+
 // ─── Long-Polling Infrastructure ───────────────────────────────────────────────
 // Per-group polling state:
-//   messages:    ring-buffer of recent updates  { userId, data (base64), ts }
-//   subscribers: waiting HTTP responses          { res, userId, timer }
+//   messages:    ring-buffer of recent relay entries  { userId, frame, ts }
+//   subscribers: waiting HTTP responses               { res, userId, protocolVersion, viewer, timer }
 const pollingGroups = new Map();
 
 const POLL_TIMEOUT_MS = 30_000;   // hold a long-poll response for up to 30 s
 const MAX_BUFFERED_MSGS = 50;     // cap per-group message buffer
 
+// ─── Last-Known Positions ──────────────────────────────────────────────────────
+// Latest relay entry per member, sent to riders as they join so the map isn't
+// empty until everyone's next frame: Map<groupId, Map<userId, entry>>
+const lastFrames = new Map();
+
+const SNAPSHOT_MAX_AGE_MS = 2 * 60 * 60 * 1000; // forget positions older than 2 h
+
 /**
  * Get or create the polling state for a group
  */
@@ -38,11 +191,39 @@ function getPollingGroup(groupId) {
 }
 
 /**
- * Push a message into the polling buffer and immediately resolve waiting subscribers
+ * Pick the frame encoding a subscriber understands
+ * Stamped frames are v2; legacy subscribers get a v1 copy built at most once per frame.
+ * @param {Object} entry - Relay entry { userId, frame, ts }
+ * @param {number} protocolVersion - Subscriber's protocol version
+ * @returns {Buffer}
  */
-function pushPollingMessage(groupId, userId, base64Data) {
+function encodeFor(entry, protocolVersion) {
+  if (protocolVersion >= PROTOCOL_VERSION) return entry.frame;
+  if (!entry.legacyFrame) {
+    entry.legacyFrame = toLegacyFrame(entry.frame, entry.userId);
+  }
+  return entry.legacyFrame;
+}
+
+/**
+ * Serialize a relay entry for a long-poll response
+ * @param {Object} entry - Relay entry { userId, frame, ts }
+ * @param {number} protocolVersion - Subscriber's protocol version
+ * @returns {{userId: string, data: string, ts: number}}
+ */
+function serializePollingEntry(entry, protocolVersion) {
+  return {
+    userId: entry.userId,
+    data: encodeFor(entry, protocolVersion).toString('base64'),
+    ts: entry.ts,
+  };
+}
+
+/**
+ * Push a relay entry into the polling buffer and immediately resolve waiting subscribers
+ */
+function pushPollingMessage(groupId, entry) {
   const pg = getPollingGroup(groupId);
-  const entry = { userId, data: base64Data, ts: Date.now() };
   pg.messages.push(entry);
 
   // Cap the buffer
@@ -50,31 +231,91 @@ function pushPollingMessage(groupId, userId, base64Data) {
     pg.messages = pg.messages.slice(-MAX_BUFFERED_MSGS);
   }
 
-  // Flush to all waiting subscribers
+  // Flush to all waiting subscribers (rider-scoped viewers keep waiting for their rider)
+  const stillWaiting = [];
   for (const sub of pg.subscribers) {
+    if (!canSee(sub.viewer, entry)) {
+      stillWaiting.push(sub);
+      continue;
+    }
     clearTimeout(sub.timer);
+    observePollWait(sub, 'data');
     try {
       sub.res.cork(() => {
         sub.res.writeStatus('200 OK');
         sub.res.writeHeader('Content-Type', 'application/json');
-        sub.res.end(JSON.stringify({ messages: [entry] }));
+        sub.res.end(JSON.stringify({ messages: [serializePollingEntry(entry, sub.protocolVersion)] }));
       });
+      framesOut.inc({ transport: 'poll' });
     } catch (_) { /* response already aborted */ }
   }
-  pg.subscribers = [];
+  pg.subscribers = stillWaiting;
+}
+
+/**
+ * Remember a member's latest frame for join snapshots
+ * @param {string} groupId - Group identifier
+ * @param {Object} entry - Relay entry { userId, frame, ts }
+ */
+function rememberLastFrame(groupId, entry) {
+  if (!lastFrames.has(groupId)) {
+    lastFrames.set(groupId, new Map());
+  }
+  lastFrames.get(groupId).set(entry.userId, entry);
+}
+
+/**
+ * Check if a share link viewer may see a relay entry
+ * Members (no viewer) and whole-trip links see everyone; rider links see one rider.
+ * @param {{riderId: string|null}|null} viewer - Viewer scope, or null for members
+ * @param {Object} entry - Relay entry { userId, frame, ts }
+ * @returns {boolean}
+ */
+function canSee(viewer, entry) {
+  return !viewer?.riderId || viewer.riderId === entry.userId;
+}
+
+/**
+ * Build the last-known-position snapshot of a group
+ * `ts` is when the server received the frame; `ageMs` saves clients from trusting their own clock.
+ * @param {string} groupId - Group identifier
+ * @param {number} protocolVersion - Subscriber's protocol version
+ * @param {string|null} [riderId] - Only include this rider (rider-scoped share links)
+ * @returns {Array<{userId: string, data: string, ts: number, ageMs: number}>}
+ */
+function buildSnapshot(groupId, protocolVersion, riderId = null) {
+  const members = lastFrames.get(groupId);
+  if (!members) return [];
+
+  const now = Date.now();
+  const snapshot = [];
+  for (const entry of members.values()) {
+    if (now - entry.ts > SNAPSHOT_MAX_AGE_MS) continue;
+    if (riderId && entry.userId !== riderId) continue;
+    snapshot.push({ ...serializePollingEntry(entry, protocolVersion), ageMs: now - entry.ts });
+  }
+  return snapshot;
 }
 
 /**
  * Read the full body of a uWS HTTP request (required because uWS streams bodies)
+ * uWS keeps a single abort handler per response, so this registers it and
+ * reports the abort through `onAborted` for callers that keep going after
+ * the body has been read.
+ * @param {Object} res - uWS HttpResponse
+ * @param {Function} [onAborted] - Called if the client disconnects at any point
  */
-function readBody(res) {
+function readBody(res, onAborted = () => {}) {
   return new Promise((resolve, reject) => {
     let buffer = Buffer.alloc(0);
     res.onData((chunk, isLast) => {
       buffer = Buffer.concat([buffer, Buffer.from(chunk)]);
       if (isLast) resolve(buffer.toString('utf8'));
     });
-    res.onAborted(() => reject(new Error('Request aborted')));
+    res.onAborted(() => {
+      onAborted();
+      reject(new Error('Request aborted'));
+    });
   });
 }
 
@@ -123,6 +364,69 @@ function verifyToken(token) {
   }
 }
 
+/**
+ * Authenticate a token and check that its user belongs to every listed tracking group
+ * @param {string} token - JWT token (optionally prefixed with 'Bearer ')
+ * @param {Array<string>} groupIds - Group ObjectIds or trip trackingGroupIds
+ * @returns {Promise<{userId: string}|{status: string, error: string}>}
+ */
+async function authorizeGroups(token, groupIds) {
+  const decoded = verifyToken(token);
+  if (!decoded) {
+    return { status: '401 Unauthorized', error: 'Invalid token' };
+  }
+
+  // Handle both 'userId' (our API) and 'sub' (JWT standard)
+  const userId = decoded.userId || decoded.sub;
+
+  for (const groupId of groupIds) {
+    const trackingGroup = await getTrackingGroup(groupId);
+    if (!trackingGroup?.members.has(userId)) {
+      return { status: '403 Forbidden', error: `Not a member of group ${groupId}` };
+    }
+    if (!isTrackingSessionOpen(trackingGroup)) {
+      return { status: '409 Conflict', error: `Tracking for ${groupId} is only open while the trip is ongoing` };
+    }
+  }
+
+  return { userId };
+}
+
+/**
+ * Authenticate a token and check that its user belongs to the tracking group
+ * @param {string} token - JWT token (optionally prefixed with 'Bearer ')
+ * @param {string} groupId - Group ObjectId or trip trackingGroupId
+ * @returns {Promise<{userId: string}|{status: string, error: string}>}
+ */
+function authorizeGroupAccess(token, groupId) {
+  return authorizeGroups(token, [groupId]);
+}
+
+/**
+ * Check a view-only share link and the trip it watches
+ * @param {string} shareToken - Raw share token from the link
+ * @returns {Promise<{userId: string, groupId: string, riderId: string|null, expiresAt: number}|{status: string, error: string}>}
+ *   `userId` is a per-link pseudo id (`share:<linkId>`), never a real user
+ */
+async function authorizeShareLink(shareToken) {
+  const link = await resolveShareLink(shareToken);
+  if (!link) {
+    return { status: '401 Unauthorized', error: 'Share link is invalid, expired or revoked' };
+  }
+
+  const trackingGroup = await getTrackingGroup(link.trackingGroupId);
+  if (!trackingGroup || !isTrackingSessionOpen(trackingGroup)) {
+    return { status: '409 Conflict', error: 'This trip is not being tracked right now' };
+  }
+
+  return {
+    userId: `share:${link.id}`,
+    groupId: link.trackingGroupId,
+    riderId: link.riderId,
+    expiresAt: link.expiresAt,
+  };
+}
+
 /**
  * Add user to a group
  * @param {string} groupId - Group identifier
@@ -149,47 +453,652 @@ function removeFromGroup(groupId, ws) {
   // Clean up empty groups
   if (group.size === 0) {
     groups.delete(groupId);
-    console.log(`[CLEANUP] Deleted empty group: ${groupId}`);
+    log.debug('Deleted empty group', { groupId });
+  }
+}
+
+/**
+ * Subscribe a socket to a group under the lowest free group index
+ * @param {WebSocket} ws
+ * @param {Object} metadata - Socket metadata
+ * @param {string} groupId - Group identifier
+ * @returns {number} Index tagging the group's frames on multiplexed sockets
+ */
+function joinSocketGroup(ws, metadata, groupId) {
+  const used = new Set(metadata.subscriptions.values());
+  let index = 0;
+  while (used.has(index)) index++;
+
+  metadata.subscriptions.set(groupId, index);
+  addToGroup(groupId, ws);
+  return index;
+}
+
+/**
+ * Unsubscribe a socket from a group, freeing its group index
+ * @param {WebSocket} ws
+ * @param {Object} metadata - Socket metadata
+ * @param {string} groupId - Group identifier
+ * @returns {boolean} Whether the socket was subscribed
+ */
+function leaveSocketGroup(ws, metadata, groupId) {
+  if (!metadata.subscriptions.delete(groupId)) return false;
+  removeFromGroup(groupId, ws);
+  return true;
+}
+
+/**
+ * Find the group a multiplexed socket means by a group index
+ * @param {Object} metadata - Socket metadata
+ * @param {number} index - Group index
+ * @returns {string|null}
+ */
+function groupForIndex(metadata, index) {
+  for (const [groupId, groupIndex] of metadata.subscriptions) {
+    if (groupIndex === index) return groupId;
   }
+  return null;
+}
+
+/**
+ * Describe a socket's subscription for welcome / subscribed messages
+ * @param {string} groupId - Group identifier
+ * @param {number} index - Group index
+ * @param {number} protocolVersion - Subscriber's protocol version
+ * @param {string|null} [riderId] - Only snapshot this rider (rider-scoped share links)
+ * @returns {Object} { groupId, index, groupSize, snapshot }
+ */
+function describeSubscription(groupId, index, protocolVersion, riderId = null) {
+  return {
+    groupId,
+    index,
+    groupSize: groups.get(groupId)?.size || 0,
+    snapshot: buildSnapshot(groupId, protocolVersion, riderId),
+  };
 }
 
 /**
- * Broadcast binary message to all users in a group except sender
- * Zero-copy forwarding: relay the buffer directly without parsing
+ * Bytes to send one socket for a relay entry
+ * Multiplexed sockets get the group index as a leading byte.
+ * @param {Object} metadata - Recipient socket metadata
+ * @param {string} groupId - Group the entry belongs to
+ * @param {Object} entry - Relay entry { userId, frame, ts }
+ * @returns {Buffer}
+ */
+function frameFor(metadata, groupId, entry) {
+  const frame = encodeFor(entry, metadata.protocolVersion);
+  if (!metadata.mux) return frame;
+  return Buffer.concat([Buffer.from([metadata.subscriptions.get(groupId)]), frame]);
+}
+
+/**
+ * Send a relay entry to every local WebSocket in a group except the sender
+ * Every non-multiplexed peer on the same protocol version receives the same buffer (no per-peer copy).
  * @param {string} groupId - Group identifier
- * @param {WebSocket} senderWs - Sender's WebSocket connection
- * @param {ArrayBuffer} message - Binary message buffer
+ * @param {Object} entry - Relay entry { userId, frame, ts }
+ * @param {WebSocket} [senderWs] - Sender's WebSocket connection
+ * @returns {number} Number of peers the frame was sent to
  */
-function broadcastToGroup(groupId, senderWs, message) {
+function broadcastToGroup(groupId, entry, senderWs = null) {
   const group = groups.get(groupId);
-  if (!group) return;
+  if (!group) return 0;
   
   let broadcastCount = 0;
   
-  // Zero-copy forwarding: send the same ArrayBuffer to all peers
   // Note: In uWebSockets.js, all WebSockets in the Set are already open
   for (const ws of group) {
-    if (ws !== senderWs) {
-      ws.send(message, true, false); // isBinary=true, compress=false
-      broadcastCount++;
+    if (ws === senderWs) continue;
+
+    const metadata = userMetadata.get(ws);
+    if (!canSee(metadata.viewer, entry)) continue;
+
+    if (metadata.pending || ws.getBufferedAmount() > SLOW_CONSUMER_BYTES) {
+      holdForSlowConsumer(ws, metadata, groupId, entry);
+      continue;
     }
+
+    ws.send(frameFor(metadata, groupId, entry), true, false); // isBinary=true, compress=false
+    broadcastCount++;
   }
-  
-  // ── Interop: also push into the polling buffer so long-poll clients see WS updates ──
-  const senderId = senderWs ? (userMetadata.get(senderWs)?.userId || 'ws-unknown') : 'poll';
-  const base64 = Buffer.from(message).toString('base64');
-  pushPollingMessage(groupId, senderId, base64);
-  
+
+  framesOut.inc({ transport: 'ws' }, broadcastCount);
   return broadcastCount;
 }
 
+/**
+ * Hold a frame for a backed-up socket, keeping only the latest position per rider
+ * Sockets that stay backed up past SLOW_CONSUMER_TIMEOUT_MS are closed.
+ * @param {WebSocket} ws - Slow consumer
+ * @param {Object} metadata - Socket metadata
+ * @param {string} groupId - Group the entry belongs to
+ * @param {Object} entry - Relay entry { userId, frame, ts }
+ */
+function holdForSlowConsumer(ws, metadata, groupId, entry) {
+  if (!metadata.pending) {
+    metadata.pending = new Map();
+    metadata.backedUpSince = Date.now();
+    backpressureEvents.inc({ event: 'backed_up' });
+    log.info('Consumer backed up, coalescing', { userId: metadata.userId, groupId });
+  }
+
+  const key = `${groupId}:${entry.userId}`;
+  if (metadata.pending.has(key)) {
+    framesDropped.inc({ reason: 'coalesced' });
+  }
+  metadata.pending.set(key, { groupId, entry });
+
+  if (Date.now() - metadata.backedUpSince > SLOW_CONSUMER_TIMEOUT_MS) {
+    backpressureEvents.inc({ event: 'closed' });
+    framesDropped.inc({ reason: 'slow_consumer' }, metadata.pending.size);
+    log.warn('Closing slow consumer', { userId: metadata.userId, groupId });
+    metadata.pending = null;
+    ws.end(1013, 'Connection too slow');
+  }
+}
+
+/**
+ * Send the coalesced frames held for a socket once it has drained
+ * @param {WebSocket} ws
+ * @param {Object} metadata - Socket metadata
+ */
+function flushHeldFrames(ws, metadata) {
+  const held = metadata.pending;
+  metadata.pending = null;
+  metadata.backedUpSince = null;
+
+  for (const { groupId, entry } of held.values()) {
+    if (metadata.subscriptions.has(groupId)) {
+      ws.send(frameFor(metadata, groupId, entry), true, false);
+      framesOut.inc({ transport: 'ws' });
+    }
+  }
+}
+
+/**
+ * Validate, stamp and relay a location frame received on this instance
+ * The relayed frame always carries the authenticated sender and the server's
+ * receive time, whatever the client put in those fields.
+ * @param {string} groupId - Group identifier
+ * @param {string} userId - Authenticated sender ID
+ * @param {ArrayBuffer|Buffer} message - Frame as received
+ * @param {WebSocket} [senderWs] - Sender's WebSocket connection
+ * @returns {{broadcastCount: number, paused?: boolean}|{error: string}}
+ */
+function handleLocationFrame(groupId, userId, message, senderWs = null) {
+  let location = decodeLocationFrame(message);
+  if (!location) {
+    return { error: 'Malformed location frame' };
+  }
+
+  const invalidReason = validateLocation(location);
+  if (invalidReason) {
+    return { error: invalidReason };
+  }
+
+  // Sharing preferences apply unless the rider needs help
+  if (!isEmergencyStatus(location.status)) {
+    const sharingMode = isSharingPaused(groupId, userId) ? 'off' : getSharingMode(groupId, userId);
+
+    // Not relayed or recorded
+    if (sharingMode === 'off') {
+      return { broadcastCount: 0, paused: true };
+    }
+
+    // Everything downstream — peers, snapshots, breadcrumbs — only sees the blurred position
+    if (sharingMode === 'coarse') {
+      location = coarsenLocation(location);
+      message = encodeLocationFrame(location);
+    }
+  }
+
+  const serverTs = Date.now();
+  const entry = {
+    userId,
+    frame: stampLocationFrame(message, location, userId, serverTs),
+    ts: serverTs,
+  };
+
+  const broadcastCount = broadcastToGroup(groupId, entry, senderWs);
+  relayFanout.observe(broadcastCount);
+  rememberLastFrame(groupId, entry);
+
+  // ── Interop: also push into the polling buffer so long-poll clients see WS updates ──
+  pushPollingMessage(groupId, entry);
+
+  // ── Fan-out: peers connected to other tracking instances ──
+  publishFrame(groupId, userId, entry.frame);
+
+  recordLocation(groupId, userId, location);
+
+  return { broadcastCount };
+}
+
+// ─── Control Messages ──────────────────────────────────────────────────────────
+// JSON text frames on the same socket. Replies go to the sender only; peer
+// notifications go to every socket subscribed to the group, on every instance.
+
+/**
+ * Send a JSON message to one socket if it is still open
+ * @param {WebSocket} ws
+ * @param {Object} message
+ */
+function sendJson(ws, message) {
+  if (!userMetadata.has(ws)) return;
+  ws.send(JSON.stringify(message), false, false);
+}
+
+// Control messages share-link viewers may receive; the rest name other riders
+const VIEWER_CONTROL_TYPES = new Set(['session_closed']);
+
+/**
+ * Send a control message to every local WebSocket in a group except the sender
+ * Share-link viewers only get the few messages meant for them.
+ * @param {string} groupId - Group identifier
+ * @param {Object} control - Message for peers
+ * @param {WebSocket} [senderWs] - Sender's WebSocket connection
+ * @returns {number} Number of local peers it was sent to
+ */
+function sendControlToGroup(groupId, control, senderWs = null) {
+  const group = groups.get(groupId);
+  if (!group) return 0;
+
+  const payload = JSON.stringify(control);
+  const forViewers = VIEWER_CONTROL_TYPES.has(control.type);
+  let count = 0;
+  for (const ws of group) {
+    if (!forViewers && userMetadata.get(ws)?.viewer) continue;
+    if (ws !== senderWs) {
+      ws.send(payload, false, false);
+      count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * Send a control message to the group's peers here and on other instances
+ * @param {string} groupId - Group identifier
+ * @param {string} userId - Sender's user ID
+ * @param {Object} control - Message for peers
+ * @param {WebSocket} [senderWs] - Sender's WebSocket connection
+ */
+function broadcastControl(groupId, userId, control, senderWs = null) {
+  sendControlToGroup(groupId, control, senderWs);
+  publishControl(groupId, userId, control);
+}
+
+/**
+ * Deliver a control message published by another tracking instance
+ * @param {string} groupId - Group identifier
+ * @param {string} senderId - Sender's user ID
+ * @param {Object} control - Message for peers
+ */
+function deliverRemoteControl(groupId, senderId, control) {
+  sendControlToGroup(groupId, control);
+}
+
+/**
+ * Tell local peers that a rider changed their sharing setting through the API,
+ * or that their timed share ended
+ * Every instance sees the change, so this only delivers locally.
+ * @param {string} groupId - Tracking group
+ * @param {string} userId - Rider
+ * @param {'off'|'coarse'|'precise'} mode - Mode now in force
+ */
+function onSharingChanged(groupId, userId, mode) {
+  // The remembered position is more precise than the rider now allows
+  if (mode !== 'precise') {
+    lastFrames.get(groupId)?.delete(userId);
+  }
+
+  sendControlToGroup(groupId, { type: 'sharing_changed', groupId, userId, mode, ts: Date.now() });
+}
+
+/**
+ * Open or close a trip's tracking session after the API changed the trip's status
+ * Closing disconnects the trip's riders here, answers waiting long-polls, then
+ * flushes this instance's breadcrumbs. Every instance receives the change, so
+ * this only acts locally; one instance claims the stats job and computes them
+ * once the others have had time to flush too.
+ * @param {Object} change - { tripId, trackingGroupId, status, state }
+ */
+async function onSessionChanged({ tripId, trackingGroupId, status, state }) {
+  invalidateTrackingGroup(trackingGroupId);
+  if (state !== 'closed') return;
+
+  log.info('Closing trip tracking group', { tripId, trackingGroupId, status });
+  sendControlToGroup(trackingGroupId, { type: 'session_closed', groupId: trackingGroupId, status, ts: Date.now() });
+
+  for (const ws of [...(groups.get(trackingGroupId) || [])]) {
+    const metadata = userMetadata.get(ws);
+    // Plain sockets only carry this group; multiplexed ones keep their other groups
+    if (!metadata.mux && metadata.groupId === trackingGroupId) {
+      ws.end(1000, `Trip ${status}`);
+    } else {
+      leaveSocketGroup(ws, metadata, trackingGroupId);
+    }
+  }
+
+  const pg = pollingGroups.get(trackingGroupId);
+  for (const sub of pg?.subscribers || []) {
+    clearTimeout(sub.timer);
+    observePollWait(sub, 'closed');
+    try {
+      sub.res.cork(() => {
+        sub.res.writeStatus('200 OK');
+        sub.res.writeHeader('Content-Type', 'application/json');
+        sub.res.end(JSON.stringify({ messages: [], closed: true }));
+      });
+    } catch (_) { /* already aborted */ }
+  }
+  pollingGroups.delete(trackingGroupId);
+  lastFrames.delete(trackingGroupId);
+  pausedSharing.delete(trackingGroupId);
+
+  if (status === 'completed') {
+    await flushBreadcrumbs();
+
+    // If the claiming instance goes down first, the stats cron computes them
+    if (!(await claimOnce(`stats:${tripId}`, 10 * 60))) return;
+    setTimeout(() => {
+      computeTripStats({ _id: tripId, trackingGroupId }).catch((error) => {
+        log.error('Failed to compute trip stats', { tripId, error: error.message });
+      });
+    }, STATS_DELAY_MS).unref();
+  }
+}
+
+/**
+ * Drop sockets and long-polls of users removed from a group through the API
+ * Membership is otherwise only checked on connect and subscribe. Every
+ * instance receives the change, so this only acts locally.
+ * @param {Object} change - { trackingGroupId, userIds }
+ */
+function onMembershipRevoked({ trackingGroupId, userIds }) {
+  invalidateTrackingGroup(trackingGroupId);
+  const revoked = new Set(userIds);
+
+  for (const ws of [...(groups.get(trackingGroupId) || [])]) {
+    const metadata = userMetadata.get(ws);
+    if (metadata.viewer || !revoked.has(metadata.userId)) continue;
+
+    log.info('Removing rider from tracking group', { userId: metadata.userId, groupId: trackingGroupId });
+    sendJson(ws, { type: 'membership_revoked', groupId: trackingGroupId, ts: Date.now() });
+    // Plain sockets only carry this group; multiplexed ones keep their other groups
+    if (!metadata.mux && metadata.groupId === trackingGroupId) {
+      ws.end(1008, 'No longer a member');
+    } else {
+      leaveSocketGroup(ws, metadata, trackingGroupId);
+    }
+  }
+
+  const pg = pollingGroups.get(trackingGroupId);
+  if (!pg) return;
+  pg.subscribers = pg.subscribers.filter((sub) => {
+    if (sub.viewer || !revoked.has(sub.userId)) return true;
+    clearTimeout(sub.timer);
+    observePollWait(sub, 'left');
+    try {
+      sub.res.cork(() => {
+        sub.res.writeStatus('403 Forbidden');
+        sub.res.end('Not a member of this group');
+      });
+    } catch (_) { /* already aborted */ }
+    return false;
+  });
+
+  for (const userId of revoked) {
+    lastFrames.get(trackingGroupId)?.delete(userId);
+  }
+}
+
+/**
+ * Check if a rider has paused sharing in a group
+ * @param {string} groupId
+ * @param {string} userId
+ * @returns {boolean}
+ */
+function isSharingPaused(groupId, userId) {
+  return pausedSharing.get(groupId)?.has(userId) || false;
+}
+
+/**
+ * Pause or resume a rider's sharing in a group
+ * Pausing also forgets their last position so new joiners don't see it.
+ * @param {string} groupId
+ * @param {string} userId
+ * @param {boolean} paused
+ */
+function setSharingPaused(groupId, userId, paused) {
+  if (paused) {
+    if (!pausedSharing.has(groupId)) {
+      pausedSharing.set(groupId, new Map());
+    }
+    pausedSharing.get(groupId).set(userId, Date.now());
+    lastFrames.get(groupId)?.delete(userId);
+    return;
+  }
+
+  const pausedUsers = pausedSharing.get(groupId);
+  if (!pausedUsers) return;
+  pausedUsers.delete(userId);
+  if (pausedUsers.size === 0) pausedSharing.delete(groupId);
+}
+
+/**
+ * Handle a JSON control message from a WebSocket
+ * @param {WebSocket} ws - Sender's WebSocket connection
+ * @param {Object} metadata - Socket metadata
+ * @param {string} text - Raw text frame
+ */
+async function handleControlMessage(ws, metadata, text) {
+  const { message, error } = parseControlMessage(text);
+  if (error) {
+    sendJson(ws, { type: 'error', code: 'invalid_control', message: error });
+    return;
+  }
+
+  const { userId, protocolVersion } = metadata;
+  // Multiplexed sockets have no default group: every control message names one
+  const groupId = message.groupId || (metadata.mux ? null : metadata.groupId);
+  const fail = (code, reason) => sendJson(ws, { type: 'error', id: message.id, ref: message.type, code, message: reason });
+
+  // Share link viewers may only measure latency
+  if (metadata.viewer && message.type !== 'ping') {
+    fail('read_only', 'Share links are view-only');
+    return;
+  }
+
+  switch (message.type) {
+    case 'ping':
+      // RTT on the client is Date.now() - clientTs when the pong arrives
+      sendJson(ws, { type: 'pong', id: message.id, clientTs: message.clientTs, serverTs: Date.now() });
+      return;
+
+    case 'subscribe': {
+      if (metadata.subscriptions.has(groupId)) {
+        sendJson(ws, {
+          type: 'subscribed',
+          id: message.id,
+          ...describeSubscription(groupId, metadata.subscriptions.get(groupId), protocolVersion),
+        });
+        return;
+      }
+      // Frames on a plain socket carry no group index, so extra groups would be indistinguishable
+      if (!metadata.mux) {
+        fail('mux_required', 'Connect with mux=1 to receive more than one group');
+        return;
+      }
+      if (metadata.subscriptions.size >= MAX_SUBSCRIPTIONS) {
+        fail('too_many_groups', `At most ${MAX_SUBSCRIPTIONS} groups per connection`);
+        return;
+      }
+      if (!(await isTrackingMember(groupId, userId))) {
+        fail('forbidden', 'Not a member of this group');
+        return;
+      }
+      if (!userMetadata.has(ws)) return; // closed while we checked
+
+      await prepareSharingMode(groupId, userId);
+      if (!userMetadata.has(ws)) return;
+
+      const index = joinSocketGroup(ws, metadata, groupId);
+      log.info('Subscribed to group', { userId, groupId, index });
+      sendJson(ws, { type: 'subscribed', id: message.id, ...describeSubscription(groupId, index, protocolVersion) });
+      return;
+    }
+
+    case 'unsubscribe':
+      // Untagged frames from a plain socket always go to its primary group
+      if (!metadata.mux && groupId === metadata.groupId) {
+        fail('primary_group', 'Cannot unsubscribe from the group this connection was opened for');
+        return;
+      }
+      if (leaveSocketGroup(ws, metadata, groupId)) {
+        log.info('Unsubscribed from group', { userId, groupId });
+      }
+      sendJson(ws, { type: 'unsubscribed', id: message.id, groupId });
+      return;
+  }
+
+  if (!metadata.subscriptions.has(groupId)) {
+    fail('not_subscribed', 'Subscribe to the group first');
+    return;
+  }
+
+  switch (message.type) {
+    case 'pause_sharing':
+    case 'resume_sharing': {
+      const paused = message.type === 'pause_sharing';
+      setSharingPaused(groupId, userId, paused);
+      broadcastControl(groupId, userId, {
+        type: paused ? 'sharing_paused' : 'sharing_resumed',
+        groupId,
+        userId,
+        ts: Date.now(),
+      }, ws);
+      sendJson(ws, { type: 'ack', id: message.id, ref: message.type, groupId });
+      return;
+    }
+
+    case 'regroup_request': {
+      const trackingGroup = await getTrackingGroup(groupId);
+      if (!trackingGroup?.admins.has(userId)) {
+        fail('forbidden', 'Only the trip creator or group admins can call a regroup');
+        return;
+      }
+
+      broadcastControl(groupId, userId, {
+        type: 'regroup_request',
+        groupId,
+        from: userId,
+        point: message.point,
+        message: message.message,
+        ts: Date.now(),
+      }, ws);
+      log.info('Regroup called', { userId, groupId });
+      sendJson(ws, { type: 'ack', id: message.id, ref: message.type, groupId });
+      return;
+    }
+  }
+}
+
+/**
+ * Deliver a stamped frame published by another tracking instance to local subscribers
+ * @param {string} groupId - Group identifier
+ * @param {string} senderId - Sender's user ID
+ * @param {Buffer} frame - Stamped v2 frame
+ */
+function deliverRemoteFrame(groupId, senderId, frame) {
+  framesIn.inc({ transport: 'remote' });
+  const entry = { userId: senderId, frame, ts: Date.now() };
+  const group = groups.get(groupId);
+  broadcastToGroup(groupId, entry);
+  rememberLastFrame(groupId, entry);
+
+  // Only buffer for polling when someone on this instance could ask for it
+  if (group || pollingGroups.has(groupId)) {
+    pushPollingMessage(groupId, entry);
+  }
+
+  // Separation checks and ETAs need the whole convoy, not just riders connected here
+  if (groupId.startsWith('trip_')) {
+    const location = decodeLocationFrame(frame);
+    if (location) {
+      trackRiderPosition(groupId, senderId, location);
+      trackRiderSpeed(groupId, senderId, location);
+    }
+  }
+}
+
+/**
+ * Persist a trip rider's position as a breadcrumb, feed the geofence, route, separation
+ * and ETA checks, and raise an incident for SOS / crash-detected frames
+ * Only trip tracking groups (trip_xxxxxxxx) keep a history; chat groups are relay-only.
+ * @param {string} groupId - Group identifier
+ * @param {string} userId - Authenticated sender ID
+ * @param {Object} location - Decoded, validated location
+ */
+function recordLocation(groupId, userId, location) {
+  if (!groupId.startsWith('trip_')) return;
+  recordBreadcrumb(groupId, userId, location);
+  trackRiderPosition(groupId, userId, location);
+  trackRiderSpeed(groupId, userId, location);
+
+  getTrackingGroup(groupId)
+    .then((trackingGroup) => {
+      evaluateGeofences(trackingGroup, userId, location);
+      evaluateRouteDeviation(trackingGroup, userId, location);
+
+      if (isEmergencyStatus(location.status)) {
+        return reportEmergency(trackingGroup, userId, location);
+      }
+    })
+    .catch((error) => log.error('Failed to process trip position', { groupId, error: error.message }));
+}
+
+/**
+ * Take one message from a socket's rate budget
+ * Over budget, the client is told once per strike window; a client that keeps
+ * overrunning it is disconnected.
+ * @param {WebSocket} ws
+ * @param {Object} limiter - Token-bucket limiter
+ * @param {string} key - Budget the message counts against
+ * @param {string} allowance - Human-readable limit for the error, e.g. "5 frames"
+ * @returns {boolean} Whether the message may be processed
+ */
+function withinRateLimit(ws, limiter, key, allowance) {
+  const verdict = limiter.consume(key);
+  if (verdict === 'ok') return true;
+
+  const { userId, groupId } = userMetadata.get(ws);
+  if (verdict === 'abusive') {
+    log.warn('Disconnecting for sustained rate limit violations', { userId, groupId, key });
+    ws.end(1008, 'Rate limit exceeded');
+    return false;
+  }
+
+  // Tell the client once per strike window rather than on every dropped message
+  if (verdict === 'limited') {
+    ws.send(JSON.stringify({
+      type: 'error',
+      code: 'rate_limited',
+      message: `At most ${allowance} per second`,
+    }), false, false);
+  }
+  return false;
+}
+
 // Create uWebSockets.js app
 const app = uWS.App({});
 
 app.ws('/*', {
   /* WebSocket upgrade handler - handles authentication */
   upgrade: (res, req, context) => {
-    const url = req.getUrl();
+    // uWS requires onAborted before any async work
+    let aborted = false;
+    res.onAborted(() => { aborted = true; });
+
     const queryString = req.getQuery();
     
     // 1. Try to get token and groupId from query string
@@ -211,86 +1120,187 @@ app.ws('/*', {
     }
     
     const groupId = query.groupId || query.group;
+
+    // Binary protocol version this client reads (v1 when omitted)
+    const protocolVersion = Math.min(parseInt(query.v || '1', 10) || 1, PROTOCOL_VERSION);
+
+    // Multiplexed sockets tag frames with a group index and may open with several groups, or none
+    const mux = query.mux === '1' || query.mux === 'true';
+    const groupIds = mux
+      ? [...new Set((query.groupIds || groupId || '').split(',').filter(Boolean))]
+      : [groupId];
     
+    // Share links open a watch-only socket on the link's trip instead
+    const shareToken = query.share;
+
     // Validate token and groupId
-    if (!token || !groupId) {
-      console.log(`[AUTH] Missing credentials: token=${!!token}, groupId=${!!groupId}`);
+    if (!shareToken && (!token || (!mux && !groupId))) {
+      log.info('Upgrade missing credentials', { hasToken: !!token, hasGroupId: !!groupId });
+      recordAuthFailure('ws', '401 Unauthorized');
       res.writeStatus('401 Unauthorized');
       res.end('Missing token or groupId');
       return;
     }
-    
-    // Verify JWT token
-    const decoded = verifyToken(token);
-    if (!decoded) {
-      console.log('[AUTH] Invalid or expired token');
-      res.writeStatus('401 Unauthorized');
-      res.end('Invalid token');
+
+    if (groupIds.length > MAX_SUBSCRIPTIONS) {
+      res.writeStatus('400 Bad Request');
+      res.end(`At most ${MAX_SUBSCRIPTIONS} groups per connection`);
       return;
     }
-    
-    // Handle both 'userId' (our API) and 'sub' (JWT standard)
-    const userId = decoded.userId || decoded.sub;
-    
-    console.log(`[AUTH] User ${userId} authenticated for group ${groupId}`);
-    
-    // Upgrade to WebSocket
-    res.upgrade(
-      { userId, groupId },
-      req.getHeader('sec-websocket-key'),
-      req.getHeader('sec-websocket-protocol'),
-      req.getHeader('sec-websocket-extensions'),
-      context
-    );
+
+    // Headers must be read before the request object goes out of scope
+    const secWebSocketKey = req.getHeader('sec-websocket-key');
+    const secWebSocketProtocol = req.getHeader('sec-websocket-protocol');
+    const secWebSocketExtensions = req.getHeader('sec-websocket-extensions');
+
+    (shareToken ? authorizeShareLink(shareToken) : authorizeGroups(token, groupIds))
+      .then(async (result) => {
+        if (aborted) return;
+
+        if (result.error) {
+          log.info('Rejected upgrade', { shareLink: !!shareToken, groupIds: shareToken ? undefined : groupIds, error: result.error });
+          recordAuthFailure('ws', result.status);
+          res.cork(() => {
+            res.writeStatus(result.status);
+            res.end(result.error);
+          });
+          return;
+        }
+
+        const { userId } = result;
+        let viewer = null;
+        let socketGroupIds = groupIds;
+
+        if (shareToken) {
+          viewer = { token: shareToken, riderId: result.riderId, expiresAt: result.expiresAt };
+          socketGroupIds = [result.groupId];
+          log.info('Viewer authenticated', { userId, groupId: result.groupId });
+        } else {
+          log.info('User authenticated', { userId, groupIds });
+
+          // Have the rider's sharing settings ready before their first frame
+          await Promise.all(groupIds.map((id) => prepareSharingMode(id, userId)));
+          if (aborted) return;
+        }
+
+        // Upgrade to WebSocket
+        res.cork(() => {
+          res.upgrade(
+            { userId, groupIds: socketGroupIds, protocolVersion, mux: mux && !viewer, viewer },
+            secWebSocketKey,
+            secWebSocketProtocol,
+            secWebSocketExtensions,
+            context
+          );
+        });
+      })
+      .catch((error) => {
+        log.error('Membership lookup failed', { transport: 'ws', error: error.message });
+        if (!aborted) {
+          res.cork(() => {
+            res.writeStatus('500 Internal Server Error');
+            res.end('Server error');
+          });
+        }
+      });
   },
   
   /* WebSocket open handler */
   open: (ws) => {
-    const { userId, groupId } = ws.getUserData();
+    const { userId, groupIds, protocolVersion, mux, viewer } = ws.getUserData();
     
     // Store metadata
-    userMetadata.set(ws, { userId, groupId });
-    
-    // Add to group
-    addToGroup(groupId, ws);
-    
-    const groupSize = groups.get(groupId)?.size || 0;
-    console.log(`[CONNECT] User ${userId} joined group ${groupId} (${groupSize} members)`);
-    
-    // Send welcome message (optional, can be removed for pure binary protocol)
-    const welcomeMsg = JSON.stringify({
-      type: 'welcome',
+    const metadata = {
       userId,
-      groupId,
-      groupSize,
-      timestamp: Date.now()
+      groupId: groupIds[0] || null,
+      protocolVersion,
+      mux,
+      viewer,
+      subscriptions: new Map(),
+      pending: null,
+      backedUpSince: null,
+    };
+    userMetadata.set(ws, metadata);
+    activeSockets++;
+    if (viewer) viewerSockets.add(ws);
+    
+    // Add to groups
+    const joined = groupIds.map((groupId) => {
+      const index = joinSocketGroup(ws, metadata, groupId);
+      log.info('Joined group', { userId, groupId, groupSize: groups.get(groupId)?.size || 0 });
+      return describeSubscription(groupId, index, protocolVersion, viewer?.riderId);
     });
+    
+    // Send welcome message with every member's last known position
+    // (snapshot frames use the same base64 encoding as /poll/updates)
+    const welcomeMsg = JSON.stringify(mux
+      ? { type: 'welcome', userId, mux: true, groups: joined, protocolVersion, timestamp: Date.now() }
+      : {
+        type: 'welcome',
+        userId,
+        groupId: metadata.groupId,
+        groupSize: joined[0].groupSize,
+        protocolVersion,
+        snapshot: joined[0].snapshot,
+        ...(viewer && { viewOnly: true, riderId: viewer.riderId }),
+        timestamp: Date.now()
+      });
     ws.send(welcomeMsg, false, true); // isBinary=false, compress=true
   },
   
-  /* WebSocket message handler - zero-copy binary relay */
+  /* WebSocket message handler - validated binary relay */
   message: (ws, message, isBinary) => {
     const metadata = userMetadata.get(ws);
     if (!metadata) return;
     
     const { userId, groupId } = metadata;
-    
+
     if (isBinary) {
-      // Zero-copy forwarding: relay the binary buffer directly
-      const broadcastCount = broadcastToGroup(groupId, ws, message);
-      
-      // Optional: Log for debugging (remove in production for max performance)
-      if (message.byteLength === 40) {
-        // Expected 40-byte location update
-        // Format: [uint32: userId, float64: lat, float64: lng, uint16: speed, uint16: bearing, uint8: status]
-        console.log(`[RELAY] User ${userId} → ${broadcastCount} peers in group ${groupId} (${message.byteLength} bytes)`);
-      } else {
-        console.log(`[RELAY] User ${userId} → ${broadcastCount} peers in group ${groupId} (${message.byteLength} bytes, unexpected size)`);
+      framesIn.inc({ transport: 'ws' });
+
+      // Multiplexed sockets route each frame by its leading group index byte
+      let frameGroupId = groupId;
+      let frame = message;
+      if (metadata.mux) {
+        frameGroupId = message.byteLength > 0 ? groupForIndex(metadata, new Uint8Array(message)[0]) : null;
+        if (!frameGroupId) {
+          framesDropped.inc({ reason: 'unknown_group' });
+          ws.send(JSON.stringify({ type: 'error', code: 'unknown_group', message: 'No group with that index' }), false, false);
+          return;
+        }
+        frame = Buffer.from(message, 1);
       }
+
+      if (!withinRateLimit(ws, frameLimiter, frameBudgetKey(userId, frameGroupId), `${MAX_FRAMES_PER_SEC} frames`)) {
+        framesDropped.inc({ reason: 'rate_limited' });
+        return;
+      }
+
+      if (metadata.viewer) {
+        framesDropped.inc({ reason: 'read_only' });
+        ws.send(JSON.stringify({ type: 'error', code: 'read_only', message: 'Share links are view-only' }), false, false);
+        return;
+      }
+
+      const result = handleLocationFrame(frameGroupId, userId, frame, ws);
+
+      if (result.error) {
+        framesDropped.inc({ reason: 'invalid' });
+        log.debug('Dropped frame', { userId, groupId: frameGroupId, error: result.error, bytes: message.byteLength });
+        ws.send(JSON.stringify({ type: 'error', code: 'invalid_frame', message: result.error }), false, false);
+        return;
+      }
+
+      log.debug('Relayed frame', { userId, groupId: frameGroupId, peers: result.broadcastCount, bytes: message.byteLength });
     } else {
-      // Handle text messages (optional, for control messages)
+      // JSON control message (ping, pause/resume, regroup, subscribe/unsubscribe)
+      if (!withinRateLimit(ws, controlLimiter, userId, `${MAX_CONTROLS_PER_SEC} control messages`)) return;
+
       const text = Buffer.from(message).toString('utf8');
-      console.log(`[TEXT] User ${userId} in group ${groupId}: ${text}`);
+      handleControlMessage(ws, metadata, text).catch((error) => {
+        log.error('Control message failed', { userId, groupId, error: error.message });
+        sendJson(ws, { type: 'error', code: 'server_error', message: 'Could not process control message' });
+      });
     }
   },
   
@@ -299,13 +1309,16 @@ app.ws('/*', {
     const metadata = userMetadata.get(ws);
     if (!metadata) return;
     
-    const { userId, groupId } = metadata;
-    
-    // Remove from group
-    removeFromGroup(groupId, ws);
+    const { userId } = metadata;
+    activeSockets--;
+    viewerSockets.delete(ws);
     
-    const groupSize = groups.get(groupId)?.size || 0;
-    console.log(`[DISCONNECT] User ${userId} left group ${groupId} (${groupSize} members remaining)`);
+    // Remove from every group the socket was subscribed to
+    for (const subscribedGroupId of [...metadata.subscriptions.keys()]) {
+      leaveSocketGroup(ws, metadata, subscribedGroupId);
+      const groupSize = groups.get(subscribedGroupId)?.size || 0;
+      log.info('Left group', { userId, groupId: subscribedGroupId, groupSize, code });
+    }
     
     // Clean up metadata
     userMetadata.delete(ws);
@@ -313,12 +1326,17 @@ app.ws('/*', {
   
   /* WebSocket drain handler - backpressure management */
   drain: (ws) => {
-    console.log('[DRAIN] WebSocket backpressure drained');
+    const metadata = userMetadata.get(ws);
+    if (!metadata?.pending || ws.getBufferedAmount() > SLOW_CONSUMER_BYTES) return;
+
+    backpressureEvents.inc({ event: 'drained' });
+    log.info('Consumer caught up', { userId: metadata.userId, coalescedFrames: metadata.pending.size });
+    flushHeldFrames(ws, metadata);
   },
   
   /* Configuration */
   compression: uWS.DISABLED, // Disable compression for minimum latency
-  maxPayloadLength: 1024, // 1KB max payload (40 bytes for location + overhead)
+  maxPayloadLength: 1024, // 1KB max payload (40-60 bytes for location + overhead)
   idleTimeout: 120, // 120 seconds idle timeout
   maxBackpressure: 1024 * 1024, // 1MB backpressure limit
 });
@@ -328,29 +1346,18 @@ app.ws('/*', {
 /**
  * POST /poll/send — submit a location update via HTTP
  * Headers: Authorization: Bearer <JWT>
- * Body:    { "groupId": "...", "data": "<base64 binary payload>" }
+ * Body:    { "groupId": "...", "data": "<base64 v1 or v2 location frame>" }
  */
 app.post('/poll/send', (res, req) => {
-  // uWS requires onAborted before any async work
+  // uWS requires onAborted before any async work; readBody registers it
   let aborted = false;
-  res.onAborted(() => { aborted = true; });
 
   const authHeader = req.getHeader('authorization');
 
-  readBody(res)
-    .then((bodyStr) => {
+  readBody(res, () => { aborted = true; })
+    .then(async (bodyStr) => {
       if (aborted) return;
 
-      // Authenticate
-      const decoded = verifyToken(authHeader || '');
-      if (!decoded) {
-        res.cork(() => {
-          res.writeStatus('401 Unauthorized');
-          res.end('Invalid token');
-        });
-        return;
-      }
-
       let body;
       try { body = JSON.parse(bodyStr); } catch (_) {
         res.cork(() => {
@@ -369,19 +1376,43 @@ app.post('/poll/send', (res, req) => {
         return;
       }
 
-      const userId = decoded.userId || decoded.sub;
-      console.log(`[POLL-SEND] User ${userId} → group ${groupId}`);
+      // Authenticate and check membership
+      const access = await authorizeGroupAccess(authHeader || '', groupId);
+      if (aborted) return;
+      if (access.error) {
+        recordAuthFailure('poll', access.status);
+        res.cork(() => {
+          res.writeStatus(access.status);
+          res.end(access.error);
+        });
+        return;
+      }
+
+      const { userId } = access;
+      framesIn.inc({ transport: 'poll' });
+      log.debug('Poll frame received', { userId, groupId });
 
-      // 1. Push to polling buffer (also notifies waiting poll subscribers)
-      pushPollingMessage(groupId, userId, data);
+      if (frameLimiter.consume(frameBudgetKey(userId, groupId)) !== 'ok') {
+        framesDropped.inc({ reason: 'rate_limited' });
+        res.cork(() => {
+          res.writeStatus('429 Too Many Requests');
+          res.end('Rate limit exceeded');
+        });
+        return;
+      }
 
-      // 2. Broadcast to WebSocket peers in the same group
-      const group = groups.get(groupId);
-      if (group) {
-        const binaryBuf = Buffer.from(data, 'base64');
-        for (const ws of group) {
-          ws.send(binaryBuf, true, false);
-        }
+      await prepareSharingMode(groupId, userId);
+      if (aborted) return;
+
+      // Validate, stamp and relay to WebSocket peers, poll subscribers and other instances
+      const result = handleLocationFrame(groupId, userId, Buffer.from(data, 'base64'));
+      if (result.error) {
+        framesDropped.inc({ reason: 'invalid' });
+        res.cork(() => {
+          res.writeStatus('400 Bad Request');
+          res.end(result.error);
+        });
+        return;
       }
 
       res.cork(() => {
@@ -390,29 +1421,33 @@ app.post('/poll/send', (res, req) => {
         res.end(JSON.stringify({ ok: true }));
       });
     })
-    .catch(() => {
-      if (!aborted) {
+    .catch((error) => {
+      if (aborted) return;
+      log.error('Poll send failed', { error: error.message });
+      try {
         res.cork(() => {
           res.writeStatus('500 Internal Server Error');
           res.end('Server error');
         });
-      }
+      } catch (_) { /* already aborted */ }
     });
 });
 
 /**
  * GET /poll/updates — long-poll for new location data
- * Query:   ?token=<JWT>&groupId=<ID>&since=<timestamp>
+ * Query:   ?token=<JWT>&groupId=<ID>&since=<timestamp>&v=<protocol version, default 1>
  * Holds the response open for up to 30 s, returning immediately when new data arrives.
+ * The first call (no `since`) returns each member's last known position at once.
  */
-app.get('/poll/updates', (res, req) => {
+app.get('/poll/updates', async (res, req) => {
   let aborted = false;
   res.onAborted(() => {
     aborted = true;
     // Remove from subscribers if still waiting
     if (subRef) {
       const pg = pollingGroups.get(subRef.groupId);
-      if (pg) {
+      if (pg?.subscribers.includes(subRef)) {
+        observePollWait(subRef, 'aborted');
         pg.subscribers = pg.subscribers.filter(s => s !== subRef);
       }
     }
@@ -430,10 +1465,12 @@ app.get('/poll/updates', (res, req) => {
   }
 
   const token = query.token || req.getHeader('authorization');
-  const groupId = query.groupId;
+  const shareToken = query.share;
+  let groupId = query.groupId;
   const since = parseInt(query.since || '0', 10);
+  const protocolVersion = Math.min(parseInt(query.v || '1', 10) || 1, PROTOCOL_VERSION);
 
-  if (!token || !groupId) {
+  if (!shareToken && (!token || !groupId)) {
     res.cork(() => {
       res.writeStatus('400 Bad Request');
       res.end('Missing token or groupId');
@@ -441,25 +1478,50 @@ app.get('/poll/updates', (res, req) => {
     return;
   }
 
-  const decoded = verifyToken(token);
-  if (!decoded) {
+  let access;
+  try {
+    // Share link viewers watch the link's trip, whatever groupId they pass
+    access = shareToken ? await authorizeShareLink(shareToken) : await authorizeGroupAccess(token, groupId);
+  } catch (error) {
+    log.error('Membership lookup failed', { transport: 'poll', error: error.message });
+    access = { status: '500 Internal Server Error', error: 'Server error' };
+  }
+  if (aborted) return;
+
+  if (access.error) {
+    recordAuthFailure('poll', access.status);
     res.cork(() => {
-      res.writeStatus('401 Unauthorized');
-      res.end('Invalid token');
+      res.writeStatus(access.status);
+      res.end(access.error);
     });
     return;
   }
 
-  const userId = decoded.userId || decoded.sub;
+  const { userId } = access;
+  const viewer = shareToken ? { riderId: access.riderId } : null;
+  if (viewer) groupId = access.groupId;
   const pg = getPollingGroup(groupId);
 
+  // First poll: answer straight away with every member's last known position
+  if (!since) {
+    const snapshot = buildSnapshot(groupId, protocolVersion, viewer?.riderId);
+    if (snapshot.length > 0) {
+      res.cork(() => {
+        res.writeStatus('200 OK');
+        res.writeHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ messages: snapshot, snapshot: true }));
+      });
+      return;
+    }
+  }
+
   // Check if there are already buffered messages newer than `since`
-  const pending = pg.messages.filter(m => m.ts > since);
+  const pending = pg.messages.filter(m => m.ts > since && canSee(viewer, m));
   if (pending.length > 0) {
     res.cork(() => {
       res.writeStatus('200 OK');
       res.writeHeader('Content-Type', 'application/json');
-      res.end(JSON.stringify({ messages: pending }));
+      res.end(JSON.stringify({ messages: pending.map((m) => serializePollingEntry(m, protocolVersion)) }));
     });
     return;
   }
@@ -468,6 +1530,7 @@ app.get('/poll/updates', (res, req) => {
   const timer = setTimeout(() => {
     if (aborted) return;
     // Timeout: return empty array so client re-polls
+    observePollWait(subRef, 'timeout');
     pg.subscribers = pg.subscribers.filter(s => s !== subRef);
     try {
       res.cork(() => {
@@ -478,17 +1541,20 @@ app.get('/poll/updates', (res, req) => {
     } catch (_) { /* already aborted */ }
   }, POLL_TIMEOUT_MS);
 
-  subRef = { res, userId, groupId, timer };
+  subRef = { res, userId, groupId, protocolVersion, viewer, timer, waitingSince: Date.now() };
   pg.subscribers.push(subRef);
 
-  console.log(`[POLL-WAIT] User ${userId} waiting on group ${groupId} (${pg.subscribers.length} subscribers)`);
+  log.debug('Long-poll waiting', { userId, groupId, subscribers: pg.subscribers.length });
 });
 
 /**
  * DELETE /poll/leave — client disconnects from polling
  * Query: ?token=<JWT>&groupId=<ID>
  */
-app.del('/poll/leave', (res, req) => {
+app.del('/poll/leave', async (res, req) => {
+  let aborted = false;
+  res.onAborted(() => { aborted = true; });
+
   const queryString = req.getQuery();
   const query = {};
   if (queryString) {
@@ -507,20 +1573,32 @@ app.del('/poll/leave', (res, req) => {
     return;
   }
 
-  const decoded = verifyToken(token);
-  if (!decoded) {
-    res.writeStatus('401 Unauthorized');
-    res.end('Invalid token');
+  let access;
+  try {
+    access = await authorizeGroupAccess(token, groupId);
+  } catch (error) {
+    log.error('Membership lookup failed', { transport: 'poll', error: error.message });
+    access = { status: '500 Internal Server Error', error: 'Server error' };
+  }
+  if (aborted) return;
+
+  if (access.error) {
+    recordAuthFailure('poll', access.status);
+    res.cork(() => {
+      res.writeStatus(access.status);
+      res.end(access.error);
+    });
     return;
   }
 
-  const userId = decoded.userId || decoded.sub;
+  const { userId } = access;
   const pg = pollingGroups.get(groupId);
   if (pg) {
     // Clear any waiting subscriber for this user
     for (const sub of pg.subscribers) {
       if (sub.userId === userId) {
         clearTimeout(sub.timer);
+        observePollWait(sub, 'left');
         try {
           sub.res.cork(() => {
             sub.res.writeStatus('200 OK');
@@ -537,10 +1615,12 @@ app.del('/poll/leave', (res, req) => {
     }
   }
 
-  console.log(`[POLL-LEAVE] User ${userId} left group ${groupId}`);
-  res.writeStatus('200 OK');
-  res.writeHeader('Content-Type', 'application/json');
-  res.end(JSON.stringify({ ok: true }));
+  log.info('Long-poll client left', { userId, groupId });
+  res.cork(() => {
+    res.writeStatus('200 OK');
+    res.writeHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ ok: true }));
+  });
 });
 
 // Health check endpoint
@@ -562,22 +1642,112 @@ app.get('/health', (res, req) => {
   }));
 });
 
+// Prometheus scrape endpoint
+app.get('/metrics', (res, req) => {
+  res.writeStatus('200 OK');
+  res.writeHeader('Content-Type', PROMETHEUS_CONTENT_TYPE);
+  res.end(metrics.render());
+});
+
+// Refresh the frames-per-second gauges
+let rateSample = { at: Date.now(), in: 0, out: 0 };
+setInterval(() => {
+  const now = Date.now();
+  const seconds = (now - rateSample.at) / 1000;
+  const totals = { in: framesIn.total(), out: framesOut.total() };
+  frameRates.in = Math.round(((totals.in - rateSample.in) / seconds) * 100) / 100;
+  frameRates.out = Math.round(((totals.out - rateSample.out) / seconds) * 100) / 100;
+  rateSample = { at: now, ...totals };
+}, RATE_WINDOW_MS).unref();
+
+// Forget rate-limit buckets of users who have gone quiet
+setInterval(() => {
+  frameLimiter.sweep();
+  controlLimiter.sweep();
+}, 60_000).unref();
+
+// Close watch-only sockets whose share link expired or was revoked
+setInterval(() => {
+  for (const ws of viewerSockets) {
+    const { viewer } = userMetadata.get(ws);
+    resolveShareLink(viewer.token)
+      .then((link) => {
+        if (!link && viewerSockets.has(ws)) {
+          ws.end(1000, 'Share link expired or revoked');
+        }
+      })
+      .catch((error) => log.error('Failed to re-check share link', { error: error.message }));
+  }
+}, 60_000).unref();
+
+// Drop last-known positions nobody will want any more, and lapse forgotten pauses
+setInterval(() => {
+  const cutoff = Date.now() - SNAPSHOT_MAX_AGE_MS;
+  for (const [groupId, members] of lastFrames) {
+    for (const [userId, entry] of members) {
+      if (entry.ts < cutoff) members.delete(userId);
+    }
+    if (members.size === 0) lastFrames.delete(groupId);
+  }
+
+  const pauseCutoff = Date.now() - PAUSE_MAX_MS;
+  for (const [groupId, pausedUsers] of pausedSharing) {
+    for (const [userId, pausedAt] of pausedUsers) {
+      if (pausedAt < pauseCutoff) pausedUsers.delete(userId);
+    }
+    if (pausedUsers.size === 0) pausedSharing.delete(groupId);
+  }
+}, 5 * 60 * 1000).unref();
+
+// Membership checks read groups and trips from MongoDB
+connectDB();
+
+// Cross-instance fan-out (no-op unless TRACKING_REDIS_PUBSUB=true)
+startTrackingBus(deliverRemoteFrame, deliverRemoteControl).catch((error) => {
+  log.error('Failed to start tracking fan-out', { error: error.message });
+});
+
+// Sharing setting changes made through the API
+startSharingSync(onSharingChanged).catch((error) => {
+  log.error('Failed to subscribe to sharing changes', { error: error.message });
+});
+
+// Trip start / end / cancel from the API
+startSessionSync((change) => {
+  onSessionChanged(change).catch((error) => {
+    log.error('Failed to close trip tracking', { tripId: change.tripId, error: error.message });
+  });
+}).catch((error) => {
+  log.error('Failed to subscribe to session changes', { error: error.message });
+});
+
+// Riders removed from trips and groups through the API
+startMembershipSync(onMembershipRevoked).catch((error) => {
+  log.error('Failed to subscribe to membership changes', { error: error.message });
+});
+
+// Convoy separation alerts for trip groups
+startSeparationMonitor();
+startEtaPublisher();
+
 // Start server
 app.listen(PORT, (token) => {
   if (token) {
-    console.log("Tracking server... THIS IS TOKENN", token)
-    console.log(`\n🚀 Tracking Server listening on port ${PORT}`);
-    console.log(`📊 WebSocket endpoint: ws://localhost:${PORT}/?token=YOUR_JWT&groupId=YOUR_GROUP`);
-    console.log(`💚 Health check: http://localhost:${PORT}/health\n`);
+    log.info('Tracking server listening', {
+      port: PORT,
+      websocket: `ws://localhost:${PORT}/?token=YOUR_JWT&groupId=YOUR_GROUP`,
+      health: `http://localhost:${PORT}/health`,
+      metrics: `http://localhost:${PORT}/metrics`,
+    });
   } else {
-    console.error(`❌ Failed to listen on port ${PORT}`);
+    log.error('Failed to listen', { port: PORT });
     process.exit(1);
   }
 });
 
 // Graceful shutdown
-process.on('SIGINT', () => {
-  console.log('\n🛑 Shutting down tracking server...');
+process.on('SIGINT', async () => {
+  log.info('Shutting down tracking server', { signal: 'SIGINT' });
   
   // Close all WebSocket connections
   for (const [groupId, group] of groups.entries()) {
@@ -601,11 +1771,17 @@ process.on('SIGINT', () => {
   }
   pollingGroups.clear();
 
-  console.log('✅ All connections closed');
+  log.info('All connections closed');
+
+  // Write out any buffered trip breadcrumbs before exiting
+  await flushBreadcrumbs();
+  await stopTrackingBus();
   process.exit(0);
 });
 
-process.on('SIGTERM', () => {
-  console.log('\n🛑 Received SIGTERM, shutting down...');
+process.on('SIGTERM', async () => {
+  log.info('Shutting down tracking server', { signal: 'SIGTERM' });
+  await flushBreadcrumbs();
+  await stopTrackingBus();
   process.exit(0);
 });